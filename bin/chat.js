@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const path = require('path');
+const readline = require('readline');
+const Tester = require('../src/Tester');
+const { renderResponse, stateDiff } = require('../src/chatRenderer');
+
+/* eslint-disable no-console */
+
+const HELP = `Type a message or number of the choice.
+Commands:
+  /state        print the current state
+  /diff         print changes of the state made by the last message
+  /postback <action> [json]  send postback
+  /location <lat> <long>     send location
+  /help         print this help
+  /quit         exit`;
+
+const modulePath = process.argv[2];
+
+if (!modulePath) {
+    console.log('Usage: prg-chat <path to module exporting the Router or reducer function>');
+    process.exit(1);
+}
+
+const exported = require(path.resolve(process.cwd(), modulePath)); // eslint-disable-line
+
+const reducer = exported.default || exported;
+const t = new Tester(reducer, 'terminal-user');
+
+let choices = [];
+let lastDiff = [];
+
+function currentState () {
+    const state = t.getState();
+    return (state && state.state) || {};
+}
+
+function print (lines) {
+    lines.forEach(line => console.log(line));
+}
+
+function send (request) {
+    const before = currentState();
+
+    return request()
+        .then(() => {
+            lastDiff = stateDiff(before, currentState());
+            choices = [];
+            t.responses.forEach((data) => {
+                print(renderResponse(data, choices).map(line => `bot> ${line}`));
+            });
+        })
+        .catch((e) => {
+            console.log(`! ${e.stack || e}`);
+        });
+}
+
+function handleLine (input) {
+    const line = input.trim();
+    const choice = line.match(/^\d+$/) && choices[parseInt(line, 10) - 1];
+
+    if (!line) {
+        return Promise.resolve();
+    } else if (choice && choice.type === 'quickReply') {
+        return send(() => t.quickReply(choice.action, choice.data));
+    } else if (choice) {
+        return send(() => t.postBack(choice.action, choice.data));
+    } else if (line === '/state') {
+        console.log(JSON.stringify(currentState(), null, 2));
+    } else if (line === '/diff') {
+        print(lastDiff.length ? lastDiff : ['(no changes)']);
+    } else if (line.match(/^\/postback /)) {
+        const [, action, json] = line.match(/^\/postback\s+(\S+)\s*(.*)$/) || [];
+        return send(() => t.postBack(action, json ? JSON.parse(json) : {}));
+    } else if (line.match(/^\/location /)) {
+        const [, lat, long] = line.match(/^\/location\s+(\S+)\s+(\S+)/) || [];
+        return send(() => t.location(parseFloat(lat), parseFloat(long)));
+    } else if (line === '/help') {
+        console.log(HELP);
+    } else if (line === '/quit') {
+        process.exit(0);
+    } else {
+        return send(() => t.text(line));
+    }
+    return Promise.resolve();
+}
+
+const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'you> '
+});
+
+console.log(HELP);
+rl.prompt();
+
+// lines are processed one by one, even when they're pasted at once
+let processing = Promise.resolve();
+
+rl.on('line', (input) => {
+    processing = processing
+        .then(() => handleLine(input))
+        .catch(e => console.log(`! ${e.message}`))
+        .then(() => rl.prompt());
+});
+
+rl.on('close', () => processing.then(() => process.exit(0)));
@@ -19,7 +19,10 @@ const apiDoc = jsdoc2md.renderSync({
         'src/ButtonTemplate.js',
         'src/ReceiptTemplate.js',
         'src/GenericTemplate.js',
+        'src/ListTemplate.js',
+        'src/MediaTemplate.js',
         'src/Router.js',
+        'src/Form.js',
         'src/ReducerWrapper.js',
         'src/bufferloader.js',
         'src/Tester.js',
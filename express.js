@@ -3,20 +3,32 @@
  */
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const mongoose = require('mongoose');
 const { Router } = require('express');
 const bodyParser = require('body-parser');
-const { postMiddlewares, getVerifierMiddleware } = require('./src/expressHooks');
+const {
+    postMiddlewares, getVerifierMiddleware, accountLinkingRedirect
+} = require('./src/expressHooks');
 const Processor = require('./src/Processor');
 const BotToken = require('./src/BotToken');
 const State = require('./src/State');
 const ChatLog = require('./src/ChatLog');
+const WebChat = require('./src/WebChat');
 
 function createProcessor (reducer, processorOptions, stateStorage = null) {
     let state = stateStorage;
 
     if (state === null) {
         state = mongoose.model('State', State);
+
+        if (processorOptions.pages) {
+            // the index of older versions allows only one page per user
+            const log = processorOptions.log || console;
+            state.dropSenderIdIndex()
+                .catch(e => log.error(e));
+        }
     }
 
     if (!processorOptions.tokenStorage) {
@@ -42,9 +54,61 @@ function createRouter (processor, botToken, log = console) {
     return app;
 }
 
+/**
+ * Creates router with the web chat page for previewing the bot in browser.
+ * Intended for local development only - there's no authentication.
+ *
+ * @param {WebChat} webChat
+ * @param {{error:function}} [log]
+ * @returns {Router}
+ *
+ * @example
+ * const { createWebChatRouter, WebChat } = require('prg-chatbot/express');
+ *
+ * const webChat = new WebChat(router);
+ *
+ * app.use('/chat', createWebChatRouter(webChat));
+ */
+function createWebChatRouter (webChat, log = console) {
+    const app = new Router();
+    const page = fs.readFileSync(path.join(__dirname, 'src', 'webChat.html'), 'utf8');
+
+    app.get('/', (req, res) => {
+        res.type('html').send(page);
+    });
+
+    app.get('/messages', (req, res) => {
+        const since = parseInt(req.query.since, 10) || 0;
+
+        webChat.poll(`${req.query.senderId}`, since)
+            .then(messages => res.json({ messages }));
+    });
+
+    app.post('/messages', bodyParser.json(), (req, res) => {
+        const { senderId } = req.body;
+
+        if (!senderId) {
+            res.status(400).json({ error: 'Missing senderId' });
+            return;
+        }
+
+        webChat.send(`${senderId}`, req.body)
+            .then(() => res.json({ ok: true }))
+            .catch((e) => {
+                log.error(e);
+                res.status(400).json({ error: e.message });
+            });
+    });
+
+    return app;
+}
+
 module.exports = {
     createProcessor,
     createRouter,
+    createWebChatRouter,
+    accountLinkingRedirect,
+    WebChat,
     State,
     BotToken,
     ChatLog
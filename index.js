@@ -6,6 +6,7 @@
 const Hook = require('./src/Hook');
 const Processor = require('./src/Processor');
 const Router = require('./src/Router');
+const Form = require('./src/Form');
 const Request = require('./src/Request');
 const SecurityMiddleware = require('./src/SecurityMiddleware');
 const bufferloader = require('./src/bufferloader');
@@ -13,26 +14,41 @@ const ReducerWrapper = require('./src/ReducerWrapper');
 const Tester = require('./src/Tester');
 const Settings = require('./src/Settings');
 const { senderFactory, sender } = require('./src/senderFactory');
+const transports = require('./src/transports');
+const MessengerChannel = require('./src/MessengerChannel');
+const JsonChannel = require('./src/JsonChannel');
 const asserts = require('./src/asserts');
 const UserLoader = require('./src/UserLoader');
 const MemoryStateStorage = require('./src/MemoryStateStorage');
+const MemoryAttachmentCache = require('./src/MemoryAttachmentCache');
+const MessageQueue = require('./src/MessageQueue');
+const PageRegistry = require('./src/PageRegistry');
+const WebChat = require('./src/WebChat');
 
 module.exports = {
     // basic functionality
     Hook,
     Processor,
     Router,
+    Form,
     Request,
     ReducerWrapper,
     senderFactory,
     sender,
+    transports,
+    MessengerChannel,
+    JsonChannel,
     UserLoader,
+    PageRegistry,
 
     // utilities
     Tester,
     bufferloader,
     asserts,
     MemoryStateStorage,
+    MemoryAttachmentCache,
+    MessageQueue,
+    WebChat,
 
     // setup tools
     SecurityMiddleware,
@@ -9,7 +9,14 @@ class BaseTemplate {
      * Creates an instance of BaseTemplate.
      *
      * @param {function} onDone
-     * @param {{appUrl:string, token:string, senderId:string, translator:function}} context
+     * @param {{
+     *     appUrl:string,
+     *     token:string,
+     *     senderId:string,
+     *     translator:function,
+     *     validation?:string,
+     *     log?:object
+     * }} context
      * @param {function} translator
      *
      * @memberOf BaseTemplate
@@ -22,7 +29,9 @@ class BaseTemplate {
             token: '',
             senderId: '',
             translator: w => w,
-            path: ''
+            path: '',
+            validation: null,
+            log: null
         };
 
         Object.assign(this.context, context);
@@ -5,6 +5,7 @@
 
 const BaseTemplate = require('./BaseTemplate');
 const { makeAbsolute } = require('./pathUtils');
+const { limit, payloadLimit, LIMITS } = require('./validation');
 
 /**
  * Helps with creating of button template
@@ -22,17 +23,28 @@ class ButtonTemplate extends BaseTemplate {
         this.buttons = [];
     }
 
+    _tokenHash () {
+        return [
+            `token=${encodeURIComponent(this.context.token)}`,
+            `senderId=${encodeURIComponent(this.context.senderId)}`
+        ].join('&');
+    }
+
     _makeExtensionUrl (url, hasExtension) {
         if (hasExtension) {
-            const hash = [
-                `token=${encodeURIComponent(this.context.token)}`,
-                `senderId=${encodeURIComponent(this.context.senderId)}`
-            ];
-            return `${this.context.appUrl || ''}${url}#${hash.join('&')}`;
+            return `${this.context.appUrl || ''}${url}#${this._tokenHash()}`;
         }
         return url;
     }
 
+    _buttonTitle (title) {
+        return limit(this._t(title), LIMITS.buttonTitle, 'Button title', this.context);
+    }
+
+    _buttons () {
+        return limit(this.buttons, LIMITS.buttons, 'Number of buttons', this.context);
+    }
+
     /**
      * Adds button. When `hasExtension` is set to `true`, url will contain hash like:
      * `#token=foo&senderId=23344`
@@ -48,7 +60,7 @@ class ButtonTemplate extends BaseTemplate {
     urlButton (title, linkUrl, hasExtension = false, webviewHeight = null) {
         this.buttons.push({
             type: 'web_url',
-            title: this._t(title),
+            title: this._buttonTitle(title),
             url: this._makeExtensionUrl(linkUrl, hasExtension),
             webview_height_ratio: webviewHeight || (hasExtension ? 'tall' : 'full'),
             messenger_extensions: hasExtension
@@ -69,11 +81,116 @@ class ButtonTemplate extends BaseTemplate {
     postBackButton (title, action, data = {}) {
         this.buttons.push({
             type: 'postback',
-            title: this._t(title),
-            payload: JSON.stringify({
+            title: this._buttonTitle(title),
+            payload: payloadLimit(JSON.stringify({
+                action: makeAbsolute(action, this.context.path),
+                data
+            }), this.context)
+        });
+        return this;
+    }
+
+    /**
+     * Adds button, which calls the phone number
+     *
+     * @param {string} title Button title
+     * @param {string} phoneNumber phone number in format `+420123456789`
+     * @returns {this}
+     *
+     * @memberOf ButtonTemplate
+     */
+    phoneButton (title, phoneNumber) {
+        this.buttons.push({
+            type: 'phone_number',
+            title: this._buttonTitle(title),
+            payload: phoneNumber
+        });
+        return this;
+    }
+
+    /**
+     * Adds button, which shares the message (or custom contents) with friends
+     *
+     * @param {object} [shareContents=null] message with generic template to share
+     * @returns {this}
+     *
+     * @memberOf ButtonTemplate
+     */
+    shareButton (shareContents = null) {
+        const button = { type: 'element_share' };
+        if (shareContents !== null) {
+            button.share_contents = shareContents;
+        }
+        this.buttons.push(button);
+        return this;
+    }
+
+    /**
+     * Adds button, which starts the account linking. When `hasExtension` is set to `true`,
+     * url will contain hash like `#token=foo&senderId=23344`, so the login page
+     * can complete the linking (see `accountLinkingRedirect()`).
+     *
+     * @param {string} url relative or absolute url of the login page
+     * @param {boolean} [hasExtension=false] includes token in url
+     * @returns {this}
+     *
+     * @memberOf ButtonTemplate
+     */
+    accountLinkButton (url, hasExtension = false) {
+        const absoluteUrl = this._imageUrl(url);
+
+        this.buttons.push({
+            type: 'account_link',
+            url: hasExtension
+                ? `${absoluteUrl}#${this._tokenHash()}`
+                : absoluteUrl
+        });
+        return this;
+    }
+
+    /**
+     * Adds button, which unlinks the account
+     *
+     * @returns {this}
+     *
+     * @memberOf ButtonTemplate
+     */
+    accountUnlinkButton () {
+        this.buttons.push({ type: 'account_unlink' });
+        return this;
+    }
+
+    /**
+     * Adds the buy button (payments)
+     *
+     * @param {object} paymentSummary payment summary in the format of the Send API
+     * @param {string} [action='/buy'] action, which receives the payment
+     * @param {object} [data={}] Action data
+     * @returns {this}
+     *
+     * @example
+     * res.genericTemplate()
+     *     .addElement('T-shirt')
+     *     .buyButton({
+     *         currency: 'USD',
+     *         payment_type: 'FIXED_AMOUNT',
+     *         merchant_name: 'Shop',
+     *         requested_user_info: ['contact_email'],
+     *         price_list: [{ label: 'T-shirt', amount: '20.00' }]
+     *     }, 'paid', { item: 'shirt' })
+     *     .send();
+     *
+     * @memberOf ButtonTemplate
+     */
+    buyButton (paymentSummary, action = '/buy', data = {}) {
+        this.buttons.push({
+            type: 'payment',
+            title: 'buy',
+            payload: payloadLimit(JSON.stringify({
                 action: makeAbsolute(action, this.context.path),
                 data
-            })
+            }), this.context),
+            payment_summary: paymentSummary
         });
         return this;
     }
@@ -81,8 +198,8 @@ class ButtonTemplate extends BaseTemplate {
     getTemplate () {
         const res = {
             template_type: 'button',
-            text: this._t(this.text),
-            buttons: this.buttons
+            text: limit(this._t(this.text), LIMITS.text, 'Text', this.context),
+            buttons: this._buttons()
         };
         return res;
     }
@@ -0,0 +1,165 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const Router = require('./Router');
+const { tokenize } = require('./tokenizer');
+
+const DATA_KEY = '_form';
+
+function matchesKeyword (keywords, req) {
+    const text = req.text(true);
+    return keywords.some(keyword => (keyword instanceof RegExp
+        ? keyword.test(req.text())
+        : tokenize(keyword) === text));
+}
+
+/**
+ * Conversational form, which asks the user for the fields one by one.
+ * Partial answers are kept with the expected answer of the form (so each mounted
+ * form has its own data, which are forgotten, when the user leaves the form),
+ * the collected data are passed to the `done` exit action. Users can go `back`
+ * or `cancel` the form using keywords.
+ *
+ * @class Form
+ * @extends {Router}
+ */
+class Form extends Router {
+
+    /**
+     * Creates an instance of Form.
+     *
+     * @param {{
+     *     back?:(string|RegExp)[],
+     *     cancel?:(string|RegExp)[]
+     * }} [options] keywords for going back and cancelling the form
+     *
+     * @example
+     * const form = new Form()
+     *     .field('name', {
+     *         prompt: 'What is your name?'
+     *     })
+     *     .field('age', {
+     *         prompt: 'How old are you?',
+     *         error: 'Please, write the number',
+     *         validate: text => (text.match(/^\d+$/) ? parseInt(text, 10) : null)
+     *     });
+     *
+     * router.use('/register', form)
+     *     .next('done', (data, req, res) => {
+     *         res.text(`Thanks ${data.name}`);
+     *     })
+     *     .next('cancel', (data, req, res) => {
+     *         res.text('Maybe later');
+     *     });
+     *
+     * // start the form
+     * postBack('/register');
+     *
+     * @memberOf Form
+     */
+    constructor (options = {}) {
+        super();
+
+        this.options = {
+            back: ['back'],
+            cancel: ['cancel']
+        };
+        Object.assign(this.options, options);
+
+        this._fields = [];
+
+        this.use('/answer', (req, res, postBack, next) => this._answer(req, res, next));
+        this.use((req, res) => this._start(req, res));
+    }
+
+    /**
+     * Adds field to the form
+     *
+     * @param {string} name key of the value in the collected data
+     * @param {{
+     *     prompt:string|function,
+     *     error?:string|function,
+     *     validate?:function
+     * }} options
+     *     `prompt` and `error` are texts or functions `(res, data, req)`,
+     *     `validate(text, req, data)` returns the value (or Promise),
+     *     `null`, `undefined` or `false` means invalid answer.
+     * @returns {this}
+     *
+     * @memberOf Form
+     */
+    field (name, options) {
+        this._fields.push(Object.assign({
+            name,
+            error: null,
+            validate: text => text || null
+        }, options));
+        return this;
+    }
+
+    _prompt (index, data, req, res, isError = false) {
+        const field = this._fields[index];
+        const message = isError && field.error ? field.error : field.prompt;
+
+        res.expected('answer', { [DATA_KEY]: { index, data } });
+
+        if (typeof message === 'function') {
+            return message(res, data, req);
+        }
+
+        res.text(message);
+        return null;
+    }
+
+    _start (req, res) {
+        if (this._fields.length === 0) {
+            throw new Error('Form has no fields');
+        }
+        return this._prompt(0, {}, req, res);
+    }
+
+    _answer (req, res, next) {
+        const formState = req.action(true)[DATA_KEY];
+
+        if (!formState) {
+            return this._start(req, res);
+        }
+
+        const { index, data } = formState;
+
+        if (matchesKeyword(this.options.cancel, req)) {
+            res.expected(null);
+            return next('cancel', data);
+        }
+
+        if (matchesKeyword(this.options.back, req)) {
+            const previous = Math.max(index - 1, 0);
+            const previousData = Object.assign({}, data);
+            delete previousData[this._fields[previous].name];
+            return this._prompt(previous, previousData, req, res);
+        }
+
+        const field = this._fields[index];
+
+        return Promise.resolve(field.validate(req.text(), req, data))
+            .then((value) => {
+                if (value === null || value === undefined || value === false) {
+                    return this._prompt(index, data, req, res, true);
+                }
+
+                const newData = Object.assign({}, data, { [field.name]: value });
+
+                if (index + 1 < this._fields.length) {
+                    return this._prompt(index + 1, newData, req, res);
+                }
+
+                res.expected(null);
+                return next('done', newData);
+            });
+    }
+
+}
+
+module.exports = Form;
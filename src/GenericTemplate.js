@@ -4,6 +4,7 @@
 'use strict';
 
 const ButtonTemplate = require('./ButtonTemplate');
+const { limit, LIMITS } = require('./validation');
 
 /**
  * Generic template utility
@@ -37,10 +38,22 @@ class GenericTemplate extends ButtonTemplate {
     addElement (title, subtitle = null, dontTranslate = false) {
         this._attachAndClearButtons();
         const element = {
-            title: dontTranslate ? title : this._t(title)
+            title: limit(
+                dontTranslate ? title : this._t(title),
+                LIMITS.elementTitle,
+                'Element title',
+                this.context
+            )
         };
         if (subtitle !== null) {
-            Object.assign(element, { subtitle: dontTranslate ? subtitle : this._t(subtitle) });
+            Object.assign(element, {
+                subtitle: limit(
+                    dontTranslate ? subtitle : this._t(subtitle),
+                    LIMITS.elementSubtitle,
+                    'Element subtitle',
+                    this.context
+                )
+            });
         }
 
         this._element = element;
@@ -51,7 +64,7 @@ class GenericTemplate extends ButtonTemplate {
     _attachAndClearButtons () {
         if (this._element !== null && this.buttons.length > 0) {
             Object.assign(this._element, {
-                buttons: this.buttons
+                buttons: this._buttons()
             });
         }
         this.buttons = [];
@@ -113,7 +126,7 @@ class GenericTemplate extends ButtonTemplate {
         this._attachAndClearButtons();
         const res = {
             template_type: 'generic',
-            elements: this.elements
+            elements: limit(this.elements, LIMITS.elements, 'Number of elements', this.context)
         };
         return res;
     }
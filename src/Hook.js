@@ -3,27 +3,26 @@
  */
 'use strict';
 
+const MessengerChannel = require('./MessengerChannel');
+
 class Hook {
 
-    constructor (processor) {
+    /**
+     * Creates an instance of Hook.
+     *
+     * @param {Processor} processor
+     * @param {MessengerChannel} [channel] defaults to the channel of the processor
+     *
+     * @memberOf Hook
+     */
+    constructor (processor, channel = processor.channel || new MessengerChannel()) {
         this.processor = processor;
+        this.channel = channel;
     }
 
     onRequest (body = {}) {
-        if (body.object !== 'page') {
-            return Promise.resolve(null);
-        }
-        const wait = [];
-
-        body.entry.forEach((event) => {
-            const pageId = event.id;
-            if (Array.isArray(event.messaging)) {
-                event.messaging.forEach((data) => {
-                    const then = this.processor.processMessage(data, pageId);
-                    wait.push(then);
-                });
-            }
-        });
+        const wait = this.channel.parse(body)
+            .map(({ event, pageId }) => this.processor.processMessage(event, pageId));
 
         return Promise.all(wait);
     }
@@ -0,0 +1,173 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const request = require('request-promise');
+const MessengerChannel = require('./MessengerChannel');
+const Request = require('./Request');
+const { parseActionPayload } = require('./pathUtils');
+
+// quick replies, which ask for the user input
+const USER_INPUT_TYPES = {
+    location: 'location',
+    user_email: 'email',
+    user_phone_number: 'phone'
+};
+
+function renderButton (button) {
+    if (button.type === 'postback') {
+        const { action, data } = parseActionPayload(button);
+        return { type: 'postBack', title: button.title, action, data };
+    }
+    if (button.type === 'web_url') {
+        return { type: 'url', title: button.title, url: button.url };
+    }
+    return Object.assign({}, button);
+}
+
+function renderTemplate (payload) {
+    switch (payload.template_type) {
+        case 'button':
+            return {
+                type: 'buttons',
+                text: payload.text,
+                buttons: payload.buttons.map(renderButton)
+            };
+        case 'generic':
+            return {
+                type: 'cards',
+                cards: payload.elements.map(element => ({
+                    title: element.title,
+                    subtitle: element.subtitle || null,
+                    imageUrl: element.image_url || null,
+                    itemUrl: element.item_url || null,
+                    buttons: (element.buttons || []).map(renderButton)
+                }))
+            };
+        default:
+            return { type: 'template', payload };
+    }
+}
+
+function renderMessage (message) {
+    let rendered;
+
+    if (typeof message.text === 'string') {
+        rendered = { type: 'text', text: message.text };
+    } else if (message.attachment && message.attachment.type === 'template') {
+        rendered = renderTemplate(message.attachment.payload);
+    } else if (message.attachment) {
+        const { type, payload = {} } = message.attachment;
+        rendered = { type, url: payload.url || null };
+    } else {
+        rendered = { type: 'unknown', message };
+    }
+
+    if (message.quick_replies) {
+        rendered.quickReplies = message.quick_replies.map((reply) => {
+            if (USER_INPUT_TYPES[reply.content_type]) {
+                return { type: USER_INPUT_TYPES[reply.content_type] };
+            }
+            const { action, data } = parseActionPayload(reply);
+            return { title: reply.title, action, data };
+        });
+    }
+
+    return rendered;
+}
+
+/**
+ * Reference adapter of the generic JSON webhook channel.
+ *
+ * Inbound body contains `events` array (or a single event) in format:
+ * `{ senderId, pageId?, text?, quickReply?: { action, data }, postBack?: { action, data },
+ * location?: { lat, long } }`
+ *
+ * Responses are rendered as `{ recipientId, type, ... }`, where type is
+ * `text` (with `text`), `buttons` (with `text` and `buttons`), `cards` (with `cards`),
+ * `image` or another attachment type (with `url`) or `action` (with sender `action`).
+ * Messages may contain `quickReplies` - `{ title, action, data }` or `{ type }`, which asks
+ * for the `location`, `email` or `phone` of the user. Responses are POSTed to the `webhookUrl`.
+ *
+ * @class JsonChannel
+ * @extends {MessengerChannel}
+ */
+class JsonChannel extends MessengerChannel {
+
+    /**
+     * Creates an instance of JsonChannel.
+     *
+     * @param {{webhookUrl?:string,headers?:object}} [options]
+     *
+     * @memberOf JsonChannel
+     */
+    constructor (options = {}) {
+        super();
+
+        this.options = {
+            webhookUrl: null,
+            headers: {}
+        };
+        Object.assign(this.options, options);
+    }
+
+    _parseEvent (event) {
+        const { senderId, pageId = null } = event;
+        let message = null;
+
+        if (!senderId) {
+            return null;
+        } else if (event.postBack) {
+            message = Request.createPostBack(senderId, event.postBack.action, event.postBack.data);
+        } else if (event.quickReply) {
+            message = Request.quickReply(senderId, event.quickReply.action, event.quickReply.data);
+        } else if (event.location) {
+            message = Request.location(senderId, event.location.lat, event.location.long);
+        } else if (typeof event.text === 'string') {
+            message = Request.text(senderId, event.text);
+        } else {
+            return null;
+        }
+
+        return { event: message, pageId };
+    }
+
+    parse (body = {}) {
+        const events = Array.isArray(body.events) ? body.events : [body];
+
+        return events
+            .map(event => this._parseEvent(event || {}))
+            .filter(event => event !== null);
+    }
+
+    render (data) {
+        const recipientId = data.recipient ? data.recipient.id : null;
+
+        if (data.sender_action) {
+            return { recipientId, type: 'action', action: data.sender_action };
+        } else if (data.message) {
+            return Object.assign({ recipientId }, renderMessage(data.message));
+        }
+
+        return { recipientId, type: 'raw', payload: data };
+    }
+
+    transport () {
+        return (data, token) => {
+            if (!this.options.webhookUrl) {
+                return Promise.reject(new Error('Missing webhookUrl in JsonChannel options'));
+            }
+            return request({
+                uri: this.options.webhookUrl,
+                method: 'POST',
+                headers: Object.assign({ Authorization: `Bearer ${token}` }, this.options.headers),
+                body: data,
+                json: true
+            });
+        };
+    }
+
+}
+
+module.exports = JsonChannel;
@@ -0,0 +1,78 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const GenericTemplate = require('./GenericTemplate');
+const { makeAbsolute } = require('./pathUtils');
+const {
+    limit, payloadLimit, report, LIMITS
+} = require('./validation');
+
+/**
+ * List template utility, the list contains 2 - 4 elements with a single button
+ *
+ * @method urlButton
+ * @method postBackButton
+ * @method addElement
+ * @method setElementImage
+ * @method setElementAction
+ *
+ * @class ListTemplate
+ * @extends {GenericTemplate}
+ */
+class ListTemplate extends GenericTemplate {
+
+    constructor (onDone, context = {}, topElementStyle = 'large') {
+        super(onDone, context);
+
+        this.topElementStyle = topElementStyle;
+        this.globalButtons = [];
+    }
+
+    _buttons () {
+        return limit(this.buttons, LIMITS.listElementButtons, 'Number of list element buttons', this.context);
+    }
+
+    /**
+     * Adds the "view more" button below the list
+     *
+     * @param {string} title Button title
+     * @param {string} action Button action (can be absolute or relative)
+     * @param {object} [data={}] Action data
+     * @returns {this}
+     *
+     * @memberOf ListTemplate
+     */
+    viewMoreButton (title, action, data = {}) {
+        this.globalButtons = [{
+            type: 'postback',
+            title: this._buttonTitle(title),
+            payload: payloadLimit(JSON.stringify({
+                action: makeAbsolute(action, this.context.path),
+                data
+            }), this.context)
+        }];
+        return this;
+    }
+
+    getTemplate () {
+        this._attachAndClearButtons();
+
+        if (this.elements.length < LIMITS.listMinElements) {
+            report(`List template requires at least ${LIMITS.listMinElements} elements`, this.context);
+        }
+
+        const res = {
+            template_type: 'list',
+            top_element_style: this.topElementStyle,
+            elements: limit(this.elements, LIMITS.listElements, 'Number of list elements', this.context)
+        };
+        if (this.globalButtons.length > 0) {
+            res.buttons = this.globalButtons;
+        }
+        return res;
+    }
+}
+
+module.exports = ListTemplate;
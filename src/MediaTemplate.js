@@ -0,0 +1,75 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const ButtonTemplate = require('./ButtonTemplate');
+
+/**
+ * Media template utility, sends an image or a video with buttons
+ *
+ * @method urlButton
+ * @method postBackButton
+ *
+ * @class MediaTemplate
+ * @extends {ButtonTemplate}
+ */
+class MediaTemplate extends ButtonTemplate {
+
+    constructor (onDone, context = {}) {
+        super(onDone, context, null);
+
+        this.element = null;
+    }
+
+    /**
+     * Sets the media of the template
+     *
+     * @param {string} mediaType image|video
+     * @param {string} url relative or absolute url of the media
+     * @returns {this}
+     *
+     * @memberOf MediaTemplate
+     */
+    setMedia (mediaType, url) {
+        this.element = {
+            media_type: mediaType,
+            url: this._imageUrl(url)
+        };
+        return this;
+    }
+
+    /**
+     * Sets already uploaded media of the template
+     *
+     * @param {string} mediaType image|video
+     * @param {string} attachmentId id of the reusable attachment
+     * @returns {this}
+     *
+     * @memberOf MediaTemplate
+     */
+    setAttachment (mediaType, attachmentId) {
+        this.element = {
+            media_type: mediaType,
+            attachment_id: `${attachmentId}`
+        };
+        return this;
+    }
+
+    getTemplate () {
+        if (this.element === null) {
+            throw new Error('Media template requires an image or video');
+        }
+        const element = Object.assign({}, this.element);
+        if (this.buttons.length > 0) {
+            element.buttons = this._buttons();
+        }
+        const res = {
+            template_type: 'media',
+            elements: [element]
+        };
+        return res;
+    }
+}
+
+module.exports = MediaTemplate;
@@ -0,0 +1,52 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+/**
+ * Keeps ids of uploaded reusable attachments in memory.
+ * Custom caches (database, redis) have to implement the same methods.
+ *
+ * @class MemoryAttachmentCache
+ */
+class MemoryAttachmentCache {
+
+    constructor () {
+        this.store = new Map();
+    }
+
+    _key (url, pageKey) {
+        return pageKey ? `${pageKey}|${url}` : url;
+    }
+
+    /**
+     * Returns the attachment id of the url uploaded to the page or null
+     *
+     * @param {string} url
+     * @param {string} [pageKey] identifies the page, attachment ids can't be shared
+     * @returns {Promise.<string|null>}
+     *
+     * @memberOf MemoryAttachmentCache
+     */
+    findAttachmentByUrl (url, pageKey = null) {
+        return Promise.resolve(this.store.get(this._key(url, pageKey)) || null);
+    }
+
+    /**
+     * Stores the attachment id of the url uploaded to the page
+     *
+     * @param {string} url
+     * @param {string} attachmentId
+     * @param {string} [pageKey]
+     * @returns {Promise}
+     *
+     * @memberOf MemoryAttachmentCache
+     */
+    saveAttachmentId (url, attachmentId, pageKey = null) {
+        this.store.set(this._key(url, pageKey), attachmentId);
+        return Promise.resolve();
+    }
+
+}
+
+module.exports = MemoryAttachmentCache;
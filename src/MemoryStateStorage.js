@@ -9,21 +9,34 @@ class MemoryStateStorage {
         this.store = new Map();
     }
 
-    getState (senderId, defaultState = {}) {
-        if (this.store.has(senderId)) {
-            return this.store.get(senderId);
+    _key (senderId, pageId) {
+        return pageId ? `${pageId}|${senderId}` : senderId;
+    }
+
+    // the missing state is not stored, like in the database storage
+    getState (senderId, defaultState = {}, pageId = null) {
+        const key = this._key(senderId, pageId);
+
+        if (this.store.has(key)) {
+            return this.store.get(key);
         }
         const state = {
             senderId,
             state: defaultState
         };
-        this.saveState(state);
+        if (pageId) {
+            state.pageId = pageId;
+        }
         return state;
     }
 
-    getOrCreateAndLock (senderId, defaultState = {}) {
-        const state = this.getState(senderId, defaultState);
-        return Promise.resolve(state);
+    getOrCreateAndLock (senderId, defaultState = {}, timeout = 300, pageId = null) {
+        const key = this._key(senderId, pageId);
+
+        if (this.store.has(key)) {
+            return Promise.resolve(this.store.get(key));
+        }
+        return this.saveState(this.getState(senderId, defaultState, pageId));
     }
 
     onAfterStateLoad (req, state) {
@@ -31,7 +44,7 @@ class MemoryStateStorage {
     }
 
     saveState (state) {
-        this.store.set(state.senderId, state);
+        this.store.set(this._key(state.senderId, state.pageId), state);
         return Promise.resolve(state);
     }
 
@@ -3,13 +3,39 @@
  */
 'use strict';
 
+const {
+    limit, payloadLimit, report, LIMITS
+} = require('./validation');
+
+/**
+ * Composes the persistent menu. The platform allows only postbacks,
+ * urls and nested menus there, other button types (call, share, log in, buy)
+ * can be used in templates only.
+ *
+ * @class MenuComposer
+ */
 class MenuComposer {
 
-    constructor (onDone) {
+    /**
+     * @param {function} onDone
+     * @param {{validation?:string,log?:object,translated?:boolean}} [options]
+     *     titles of the `translated` menu are limited after the translation
+     * @param {number} [depth=1] level of the menu
+     */
+    constructor (onDone, options = {}, depth = 1) {
         this.onDone = onDone;
+        this.options = options;
+        this.depth = depth;
         this.callToActions = [];
     }
 
+    _title (title) {
+        if (this.options.translated) {
+            return title;
+        }
+        return limit(title, LIMITS.menuTitle, 'Menu item title', this.options);
+    }
+
     /**
      * Add postback to menu
      *
@@ -21,11 +47,11 @@ class MenuComposer {
     addPostBack (title, action, data = {}) {
         this.callToActions.push({
             type: 'postback',
-            title,
-            payload: JSON.stringify({
+            title: this._title(title),
+            payload: payloadLimit(JSON.stringify({
                 action,
                 data
-            })
+            }), this.options)
         });
         return this;
     }
@@ -42,7 +68,7 @@ class MenuComposer {
     addUrl (title, url, hasExtension = false, webviewHeight = null) {
         this.callToActions.push({
             type: 'web_url',
-            title,
+            title: this._title(title),
             url,
             webview_height_ratio: webviewHeight || (hasExtension ? 'tall' : 'full'),
             messenger_extensions: hasExtension
@@ -57,14 +83,23 @@ class MenuComposer {
      * @returns {MenuComposer}
      */
     addNested (title) {
+        // the nested menu, which is too deep, is left out
+        const allowed = this.depth < LIMITS.menuDepth;
+
+        if (!allowed) {
+            report(`Depth of the menu exceeds the limit of ${LIMITS.menuDepth} levels`, this.options);
+        }
+
         return new MenuComposer((actions) => {
-            this.callToActions.push({
-                type: 'nested',
-                title,
-                call_to_actions: actions
-            });
+            if (allowed) {
+                this.callToActions.push({
+                    type: 'nested',
+                    title: this._title(title),
+                    call_to_actions: actions
+                });
+            }
             return this;
-        });
+        }, this.options, this.depth + 1);
     }
 
     /**
@@ -73,7 +108,8 @@ class MenuComposer {
      * @returns {this}
      */
     done () {
-        return this.onDone(this.callToActions);
+        const max = this.depth === 1 ? LIMITS.menuItems : LIMITS.nestedMenuItems;
+        return this.onDone(limit(this.callToActions, max, 'Number of menu items', this.options));
     }
 
 }
@@ -0,0 +1,187 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+/**
+ * Serializes processing of messages with the same key (sender)
+ *
+ * @class MessageQueue
+ */
+class MessageQueue {
+
+    /**
+     * Creates an instance of MessageQueue.
+     *
+     * @param {function} processFn processing function `(message, ...args, release)`,
+     *     the next message is processed, when the returned Promise settles
+     *     or when the `release()` is called
+     * @param {number} [maxLength=10] maximum number of waiting messages for a single key
+     * @param {string|function} [policy='dropOldest'] dropOldest|dropNewest or merge function
+     * @param {{warn:function}} [log]
+     *
+     * @memberOf MessageQueue
+     */
+    constructor (processFn, maxLength = 10, policy = 'dropOldest', log = console) {
+        this._processFn = processFn;
+        this.maxLength = maxLength;
+        this.policy = policy;
+        this.log = log;
+
+        this._queues = new Map();
+    }
+
+    /**
+     * Adds message to the queue of the key
+     *
+     * @param {string} key
+     * @param {object} message
+     * @param {...*} args additional arguments for processing function
+     * @returns {Promise} resolved with result of processing (or null, when the message was dropped)
+     *
+     * @memberOf MessageQueue
+     */
+    push (key, message, ...args) {
+        return this._add(key, false, message, args);
+    }
+
+    /**
+     * Adds message ahead of the waiting messages of the key (behind the other
+     * messages added this way). These messages are never dropped.
+     *
+     * @param {string} key
+     * @param {object} message
+     * @param {...*} args additional arguments for processing function
+     * @returns {Promise} resolved with result of processing
+     *
+     * @memberOf MessageQueue
+     */
+    pushFirst (key, message, ...args) {
+        return this._add(key, true, message, args);
+    }
+
+    _add (key, first, message, args) {
+        let queue = this._queues.get(key);
+
+        if (!queue) {
+            queue = { working: false, waiting: [] };
+            this._queues.set(key, queue);
+        }
+
+        return new Promise((resolve, reject) => {
+            const item = {
+                message, args, first, handlers: [{ resolve, reject }]
+            };
+
+            if (first) {
+                const index = queue.waiting.findIndex(waiting => !waiting.first);
+                queue.waiting.splice(index === -1 ? queue.waiting.length : index, 0, item);
+            } else if (queue.waiting.length >= this.maxLength) {
+                this._applyPolicy(queue, item);
+            } else {
+                queue.waiting.push(item);
+            }
+
+            this._run(key, queue);
+        });
+    }
+
+    /**
+     * Returns count of waiting messages of the key
+     *
+     * @param {string} key
+     * @returns {number}
+     *
+     * @memberOf MessageQueue
+     */
+    waiting (key) {
+        const queue = this._queues.get(key);
+        return queue ? queue.waiting.length : 0;
+    }
+
+    _applyPolicy (queue, item) {
+        let dropped = item;
+
+        if (typeof this.policy === 'function') {
+            const last = queue.waiting[queue.waiting.length - 1];
+            const merged = last && !last.first ? this.policy(last.message, item.message) : null;
+
+            if (merged) {
+                last.message = merged;
+                last.handlers.push(...item.handlers);
+                return;
+            }
+        } else if (this.policy === 'dropOldest') {
+            const index = queue.waiting.findIndex(waiting => !waiting.first);
+
+            if (index !== -1) {
+                [dropped] = queue.waiting.splice(index, 1);
+                queue.waiting.push(item);
+            }
+        }
+
+        this.log.warn('Message queue is full, message dropped', dropped.message);
+        dropped.handlers.forEach(handler => handler.resolve(null));
+    }
+
+    _run (key, queue) {
+        if (queue.working) {
+            return;
+        }
+
+        const item = queue.waiting.shift();
+
+        if (!item) {
+            this._queues.delete(key);
+            return;
+        }
+
+        Object.assign(queue, { working: true });
+
+        let released = false;
+        const release = () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            Object.assign(queue, { working: false });
+            this._run(key, queue);
+        };
+
+        Promise.resolve()
+            .then(() => this._processFn(item.message, ...item.args, release))
+            .then((res) => {
+                item.handlers.forEach(handler => handler.resolve(res));
+            }, (err) => {
+                item.handlers.forEach(handler => handler.reject(err));
+            })
+            .then(release);
+    }
+
+}
+
+/**
+ * Merge policy, which joins bursts of plain text messages into one
+ *
+ * @param {object} waitingMessage
+ * @param {object} message
+ * @returns {object|null}
+ */
+MessageQueue.mergeTexts = function (waitingMessage, message) {
+    const isText = msg => msg.message
+        && typeof msg.message.text === 'string'
+        && !msg.message.quick_reply
+        && !msg.message.attachments;
+
+    if (!isText(waitingMessage) || !isText(message)) {
+        return null;
+    }
+
+    return Object.assign({}, message, {
+        message: Object.assign({}, message.message, {
+            text: `${waitingMessage.message.text}\n${message.message.text}`
+        })
+    });
+};
+
+module.exports = MessageQueue;
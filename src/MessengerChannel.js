@@ -0,0 +1,79 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const { sender } = require('./senderFactory');
+
+/**
+ * Channel adapter translates the payloads of the messaging platform.
+ * Inbound events are normalized into the Messenger event format (which is the model
+ * of the Request) and the outgoing Messenger Send API payloads (produced by the Responder)
+ * are rendered into the format of the platform.
+ *
+ * Messenger channel is the default one - it doesn't translate anything.
+ *
+ * @class MessengerChannel
+ */
+class MessengerChannel {
+
+    /**
+     * Normalizes the webhook body to the list of events
+     *
+     * @param {object} body
+     * @returns {{event:object,pageId:string}[]}
+     *
+     * @memberOf MessengerChannel
+     */
+    parse (body = {}) {
+        if (body.object !== 'page' || !Array.isArray(body.entry)) {
+            return [];
+        }
+
+        const events = [];
+
+        body.entry.forEach((entry) => {
+            const pageId = entry.id;
+            if (Array.isArray(entry.messaging)) {
+                entry.messaging.forEach((event) => {
+                    events.push({ event, pageId });
+                });
+            }
+            if (Array.isArray(entry.standby)) {
+                // events, which arrived, when the bot is not the thread owner
+                entry.standby.forEach((data) => {
+                    const event = Object.assign({}, data, { standby: true });
+                    events.push({ event, pageId });
+                });
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Renders the Send API payload into the format of the channel
+     *
+     * @param {object} data
+     * @returns {object}
+     *
+     * @memberOf MessengerChannel
+     */
+    render (data) {
+        return data;
+    }
+
+    /**
+     * Returns the default transport of the channel
+     *
+     * @returns {function}
+     *
+     * @memberOf MessengerChannel
+     */
+    transport () {
+        return sender;
+    }
+
+}
+
+module.exports = MessengerChannel;
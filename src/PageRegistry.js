@@ -0,0 +1,115 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const Settings = require('./Settings');
+
+/**
+ * Keeps configuration of Facebook pages served by a single Processor
+ *
+ * @class PageRegistry
+ */
+class PageRegistry {
+
+    /**
+     * Creates an instance of PageRegistry.
+     *
+     * @param {Object.<string, {
+     *     pageToken:string,
+     *     appUrl?:string,
+     *     translator?:function,
+     *     defaultState?:object
+     * }>} [pages={}] page configurations by pageId
+     *
+     * @memberOf PageRegistry
+     */
+    constructor (pages = {}) {
+        this._pages = new Map();
+
+        Object.keys(pages)
+            .forEach(pageId => this.add(pageId, pages[pageId]));
+    }
+
+    /**
+     * Adds (or replaces) configuration of the page
+     *
+     * @param {string} pageId
+     * @param {{pageToken:string,appUrl?:string,translator?:function,defaultState?:object}} config
+     * @returns {this}
+     *
+     * @memberOf PageRegistry
+     */
+    add (pageId, config) {
+        if (!config || !config.pageToken) {
+            throw new Error(`Missing pageToken for page ${pageId}`);
+        }
+        this._pages.set(`${pageId}`, Object.assign({}, config));
+        return this;
+    }
+
+    /**
+     * Returns configuration of the page
+     *
+     * @param {string} pageId
+     * @returns {object|null}
+     *
+     * @memberOf PageRegistry
+     */
+    get (pageId) {
+        return this._pages.get(`${pageId}`) || null;
+    }
+
+    /**
+     * Returns token of the page
+     *
+     * @param {string} pageId
+     * @returns {string|null}
+     *
+     * @memberOf PageRegistry
+     */
+    token (pageId) {
+        const page = this.get(pageId);
+        return page ? page.pageToken : null;
+    }
+
+    /**
+     * Returns list of registered page ids
+     *
+     * @returns {string[]}
+     *
+     * @memberOf PageRegistry
+     */
+    pageIds () {
+        return Array.from(this._pages.keys());
+    }
+
+    /**
+     * Returns Settings of the page
+     *
+     * @param {string} pageId
+     * @param {{error:function}} [log]
+     * @returns {Settings}
+     *
+     * @example
+     * pages.pageIds().forEach((pageId) => {
+     *     pages.settings(pageId)
+     *         .greeting('Hello!')
+     *         .getStartedButton('/start');
+     * });
+     *
+     * @memberOf PageRegistry
+     */
+    settings (pageId, log = console) {
+        const token = this.token(pageId);
+
+        if (!token) {
+            throw new Error(`Unknown page ${pageId}`);
+        }
+
+        return new Settings(token, log);
+    }
+
+}
+
+module.exports = PageRegistry;
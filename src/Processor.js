@@ -9,10 +9,10 @@ const Request = require('./Request');
 const SecurityMiddleware = require('./SecurityMiddleware');
 const { senderFactory } = require('./senderFactory');
 const MemoryStateStorage = require('./MemoryStateStorage');
-
-function nextTick () {
-    return new Promise(r => process.nextTick(r));
-}
+const MessageQueue = require('./MessageQueue');
+const MessengerChannel = require('./MessengerChannel');
+const PageRegistry = require('./PageRegistry');
+const transports = require('./transports');
 
 
 class Processor {
@@ -20,6 +20,17 @@ class Processor {
     /**
      * Creates an instance of Processor.
      *
+     * The `translator` is called as `translator(text, { locale })`, where the locale
+     * is taken from the state (`_locale`, see `res.setLocale()`) or from the user profile.
+     *
+     * Responses exceeding the Messenger limits throw an error, when the `validation`
+     * option is `throw`. With `truncate` (default in production) they're cut with a warning.
+     * Long texts are sent as several messages, when the `splitLongTexts` option is set.
+     *
+     * The `accountLinkStorage` is called as `link(senderId, authorizationCode, pageId)`
+     * or `unlink(senderId, pageId)` before the account linking event is processed.
+     * When it fails, the `onError` handler is called instead of the reducer.
+     *
      * @param {ReducerWrapper|function|Router} reducer
      * @param {{
         pageToken:string,
@@ -33,10 +44,30 @@ class Processor {
         chatLog?:object,
         tokenStorage?:object,
         senderFnFactory?:function,
+        transport?:function,
+        attachmentCache?:{findAttachmentByUrl:function,saveAttachmentId:function},
+        accountLinkStorage?:{link:function,unlink:function},
+        channel?:MessengerChannel,
+        validation?:string,
+        splitLongTexts?:boolean,
+        pages?:PageRegistry|Object.<string, object>,
         securityMiddleware?:object,
         loadUsers?:boolean,
         loadUsers?:object,
         onSenderError?:function,
+        onError?:function,
+        maxQueueLength?:number,
+        queuePolicy?:string|function,
+        lockLightweightEvents?:boolean,
+        processStandby?:boolean,
+        processEchoes?:boolean,
+        sendRetry?:{
+            retries?:number,
+            minTimeout?:number,
+            maxTimeout?:number,
+            factor?:number,
+            jitter?:boolean
+        },
         autoTyping?: boolean|{
             time?: number,
             perCharacters?: number,
@@ -47,7 +78,8 @@ class Processor {
      * @param {{
         getOrCreateAndLock:function,
         saveState:function,
-        onAfterStateLoad:function
+        onAfterStateLoad:function,
+        getState?:function
        }} [stateStorage]
      *
      * @memberOf Processor
@@ -65,27 +97,62 @@ class Processor {
             chatLog: null,
             tokenStorage: null,
             senderFnFactory: null,
+            transport: null,
+            attachmentCache: null,
+            accountLinkStorage: null,
+            channel: null,
+            validation: null,
+            splitLongTexts: false,
+            pages: null,
             securityMiddleware: null,
             loadUsers: true,
             userLoader: null,
-            onSenderError: (err, message) => this.reportSendError(err, message)
+            onSenderError: (err, message, pageId) => this.reportSendError(err, message, pageId),
+            onError: null,
+            maxQueueLength: 10,
+            queuePolicy: 'dropOldest',
+            lockLightweightEvents: true,
+            processStandby: false,
+            processEchoes: false,
+            sendRetry: {}
         };
         Object.assign(this.options, options);
 
+        this._queue = new MessageQueue(
+            (...args) => this._processMessage(...args),
+            this.options.maxQueueLength,
+            this.options.queuePolicy,
+            this.options.log
+        );
+
         this.reducer = reducer;
         this.stateStorage = stateStorage;
+        this.channel = this.options.channel || new MessengerChannel();
+        this.pages = null;
+
+        if (this.options.pages) {
+            this.pages = this.options.pages instanceof PageRegistry
+                ? this.options.pages
+                : new PageRegistry(this.options.pages);
+        }
 
-        if (!this.options.pageToken) {
+        if (!this.options.pageToken && !this.pages) {
             throw new Error('Missing pageToken in options');
         }
 
+        const pageToken = this.pages
+            ? pageId => this.pages.token(pageId) || this.options.pageToken
+            : this.options.pageToken;
+
         if (this.options.senderFnFactory) {
             this.senderFnFactory = this.options.senderFnFactory;
         } else {
             this.senderFnFactory = senderFactory(
-                this.options.pageToken,
+                pageToken,
                 this.options.chatLog,
-                this.options.onSenderError
+                this.options.onSenderError,
+                this._channelTransport(),
+                this.options.sendRetry
             );
         }
 
@@ -102,17 +169,36 @@ class Processor {
             this.userLoader = this.options.userLoader;
         } else {
             this.userLoader = this.options.loadUsers
-                ? new UserLoader(this.options.pageToken)
+                ? new UserLoader(pageToken)
                 : null;
         }
     }
 
-    _createPostBack (senderId, pageId, postbackAcumulator, senderFn, waitAfter = nextTick) {
-        const makePostBack = (action, data = {}) => waitAfter()
-                .then((newSenderId) => {
-                    const request = Request.createPostBack(newSenderId || senderId, action, data);
-                    return this.processMessage(request, pageId, senderFn);
+    _createPostBack (senderId, pageId, postbackAcumulator, releaseAcumulator, senderFn, waitAfter) {
+        const makeRequest = (action, data) => waitAfter()
+            .then(newSenderId => Request.createPostBack(newSenderId || senderId, action, data));
+
+        // the postback is processed, before the sender's queue is released
+        const makePostBack = (action, data = {}) => {
+            let release;
+            releaseAcumulator.push(new Promise((resolve) => { release = resolve; }));
+
+            return makeRequest(action, data)
+                .then(request => this._processMessage(request, pageId, senderFn, release), () => {
+                    // processing of the event failed, the postback is dropped
+                    release();
+                    return null;
+                })
+                .then((res) => {
+                    release();
+                    return res;
                 });
+        };
+
+        // the deferred postback can't hold the queue, so it's queued ahead of the waiting messages
+        const makeDeferredPostBack = (action, data = {}) => makeRequest(action, data)
+            .then(request => this._queue
+                .pushFirst(this._getSenderId(request), request, pageId, senderFn), () => null);
 
         const wait = () => {
             let res;
@@ -125,7 +211,7 @@ class Processor {
 
             postbackAcumulator.push(promise);
 
-            return (...args) => makePostBack(...args)
+            return (...args) => makeDeferredPostBack(...args)
                 .then(a => res(a))
                 .catch(e => rej(e));
         };
@@ -173,7 +259,66 @@ class Processor {
         return handler;
     }
 
-    reportSendError (err, message) {
+    _storeAccountLink (req, senderId, pageId) {
+        const storage = this.options.accountLinkStorage;
+
+        if (!storage || !req.isAccountLinking()) {
+            return null;
+        }
+
+        const { status, authorizationCode } = req.accountLinking();
+
+        if (status === 'linked') {
+            return storage.link(senderId, authorizationCode, pageId);
+        }
+        return storage.unlink(senderId, pageId);
+    }
+
+    _channelTransport () {
+        const transport = this.options.transport || this.channel.transport();
+        const channelTransport = (data, token) => transport(this.channel.render(data), token);
+
+        if (!this.options.attachmentCache) {
+            return channelTransport;
+        }
+
+        return transports.withAttachmentCache(
+            channelTransport,
+            this.options.attachmentCache,
+            this.options.log
+        );
+    }
+
+    /**
+     * Returns options of the Processor extended with the configuration of the page
+     *
+     * @param {string} pageId
+     * @returns {object}
+     *
+     * @memberOf Processor
+     */
+    pageOptions (pageId) {
+        const page = this.pages && this.pages.get(pageId);
+
+        if (!page) {
+            return this.options;
+        }
+
+        return Object.assign({}, this.options, page);
+    }
+
+    /**
+     * Marks the state of the user, which can't receive messages (the default `onSenderError`)
+     *
+     * @param {Error} err
+     * @param {object} message the incomming event
+     * @param {string} [pageId=null] required, when the Processor serves multiple pages,
+     *     the error is logged otherwise
+     * @returns {boolean} true, when the error was reported
+     *
+     * @memberOf Processor
+     */
+    reportSendError (err, message, pageId = null) {
         if (!message || !message.sender || !message.sender.id) {
             return false;
         }
@@ -181,7 +326,7 @@ class Processor {
             return false;
         }
         const senderId = message.sender.id;
-        this._loadState(false, senderId)
+        this._loadState(false, senderId, pageId)
             .then((state) => {
                 Object.assign(state, {
                     lastSendError: new Date(),
@@ -191,24 +336,59 @@ class Processor {
                 return this.stateStorage.saveState(state);
             })
             .catch((e) => {
-                this.options.log(e);
+                this.options.log.error(e);
             });
 
         return true;
     }
 
+    _getSenderId (message) {
+        const isEcho = message && message.message && message.message.is_echo;
+
+        if (isEcho && message.recipient && message.recipient.id) {
+            // echoes belong to conversation with the recipient
+            return message.recipient.id;
+        } else if (message && message.sender && message.sender.id) {
+            return message.sender.id;
+        } else if (message && message.optin && message.optin.user_ref) {
+            return message.optin.user_ref;
+        }
+        return null;
+    }
+
+    /**
+     * Processes the incomming event
+     *
+     * Events of the same sender are processed one by one in the order of arrival.
+     * Postbacks are processed before the next event of the sender, deferred postbacks
+     * (`postBack.wait()`) are processed ahead of the waiting events, when resolved.
+     *
+     * @param {object} message the event
+     * @param {string} pageId
+     * @param {function} [sender] custom send function
+     * @returns {Promise}
+     *
+     * @memberOf Processor
+     */
     processMessage (message, pageId, sender = null) {
-        let senderId;
+        const senderId = this._getSenderId(message);
+
+        if (!senderId) {
+            return this._processMessage(message, pageId, sender);
+        }
+
+        return this._queue.push(senderId, message, pageId, sender);
+    }
+
+    _processMessage (message, pageId, sender = null, release = () => {}) {
+        const senderId = this._getSenderId(message);
         let refHandler;
 
-        if (message && message.sender && message.sender.id) {
-            senderId = message.sender.id;
-        } else if (message && message.optin && message.optin.user_ref) {
-            senderId = message.optin.user_ref;
-            refHandler = this._createRefHandler();
-        } else {
+        if (!senderId) {
             this.options.log.warn('Bot received bad message', { message, pageId });
             return Promise.resolve(null);
+        } else if (!message.sender || !message.sender.id) {
+            refHandler = this._createRefHandler();
         }
 
         // ignore messages from the page
@@ -217,15 +397,31 @@ class Processor {
         }
 
         const postbacks = [];
+        const releases = [];
         const isRef = !!refHandler;
+        const skipLock = !this.options.lockLightweightEvents
+            && new Request(message, {}, pageId).isLightweight();
+        let resolveSaved;
+        let rejectSaved;
+        const saved = new Promise((resolve, reject) => {
+            resolveSaved = resolve;
+            rejectSaved = reject;
+        });
+        // postbacks are dropped, when the processing fails
+        saved.catch(() => {});
         const senderHandler = refHandler && refHandler.handler;
         const senderFn = sender || this.senderFnFactory(message, pageId, senderHandler);
         let req;
         let state;
 
-        return this._loadState(isRef, senderId)
-            .then(stateObject =>
-                this._ensureUserProfileLoaded(isRef, senderId, pageId, stateObject))
+        const loadState = skipLock
+            ? this._loadStateWithoutLock(senderId, pageId)
+            : this._loadState(isRef, senderId, pageId);
+
+        return loadState
+            .then(stateObject => (skipLock
+                ? stateObject
+                : this._ensureUserProfileLoaded(isRef, senderId, pageId, stateObject)))
             .then((stateObject) => {
                 state = stateObject.state;
                 req = new Request(message, state, pageId);
@@ -239,16 +435,61 @@ class Processor {
                 req.state = state;
 
                 // prepare responder
-                const res = new Responder(isRef, senderId, senderFn, token, this.options);
+                const res = new Responder(
+                    isRef, senderId, senderFn, token, this.pageOptions(pageId)
+                );
+                res.locale = req.locale();
 
                 // create postBack handler
-                const wait = refHandler && refHandler.promise;
-                const postBack = this._createPostBack(senderId, pageId, postbacks, senderFn, wait);
+                // postbacks are processed after the state is saved
+                const wait = () => saved
+                    .then(() => (refHandler ? refHandler.promise() : null));
+                const postBack = this._createPostBack(
+                    senderId, pageId, postbacks, releases, senderFn, wait
+                );
+
+                if (req.isStandby() && !this.options.processStandby) {
+                    // the thread is owned by another app, just keep the state
+                    return { res, stateObject, skipped: true };
+                }
 
-                if (typeof this.reducer === 'function') {
-                    this.reducer(req, res, postBack);
-                } else {
-                    this.reducer.reduce(req, res, postBack);
+                if (req.isEcho() && !this.options.processEchoes) {
+                    // replying to echoes of own messages would loop
+                    return { res, stateObject, skipped: true };
+                }
+
+                if (!isRef && !skipLock && this._isPaused(stateObject)) {
+                    // human agent is talking with the user
+                    if (this.options.chatLog) {
+                        this.options.chatLog.log([], message);
+                    }
+                    return { res, stateObject, skipped: true };
+                }
+
+                let resumed = Promise.resolve();
+
+                if (!isRef && !skipLock && stateObject.off) {
+                    // the pause has expired
+                    Object.assign(stateObject, { off: false, offUntil: null });
+                    const resumeReq = new Request(Request.resume(senderId), state, pageId);
+                    resumed = this._reduce(resumeReq, res, postBack)
+                        .then(() => {
+                            req.state = Object.assign({}, state, res.newState);
+                        });
+                }
+
+                return resumed
+                    .then(() => this._storeAccountLink(req, senderId, pageId))
+                    // the event is not processed, when the link can't be stored
+                    .then(
+                        () => this._reduce(req, res, postBack),
+                        err => this._onReducerError(err, req, res)
+                    )
+                    .then(() => ({ res, stateObject }));
+            })
+            .then(({ res, stateObject, skipped = false }) => {
+                if (skipped) {
+                    return skipLock ? null : stateObject;
                 }
 
                 state = Object.assign({}, state, res.newState);
@@ -263,6 +504,16 @@ class Processor {
                     state._expectedKeywords = null;
                 }
 
+                // reset expectations
+                if (req.isMessage() && state._expectedInput && !res.newState._expectedInput) {
+                    state._expectedInput = null;
+                }
+
+                if (skipLock) {
+                    // changes made while processing lightweight events are not persisted
+                    return null;
+                }
+
                 if (!isRef) {
                     return stateObject;
                 }
@@ -273,7 +524,7 @@ class Processor {
                 }
 
                 return refHandler.promise()
-                    .then(recipientId => this._loadState(false, recipientId));
+                    .then(recipientId => this._loadState(false, recipientId, pageId));
             })
             .then((stateObject) => {
                 if (!stateObject) {
@@ -282,18 +533,109 @@ class Processor {
                 Object.assign(stateObject, {
                     state,
                     lock: 0,
-                    lastInteraction: new Date(),
-                    off: false
+                    lastInteraction: new Date()
                 });
 
                 return this.stateStorage.saveState(stateObject);
             })
-            .then(() => Promise.all(postbacks))
+            .then(() => {
+                resolveSaved();
+                return Promise.all(releases);
+            })
+            .then(() => {
+                // next event of the sender can be processed, deferred postbacks are queued
+                release();
+                return Promise.all(postbacks);
+            })
             .catch((e) => {
+                rejectSaved(e);
+                release();
                 this.options.log.error(e);
             });
     }
 
+    _reduce (req, res, postBack) {
+        return Promise.resolve()
+            .then(() => {
+                if (typeof this.reducer === 'function') {
+                    return this.reducer(req, res, postBack);
+                }
+                return this.reducer.reduce(req, res, postBack);
+            })
+            .catch(err => this._onReducerError(err, req, res));
+    }
+
+    _isPaused (stateObject) {
+        if (!stateObject.off) {
+            return false;
+        }
+        return !stateObject.offUntil
+            || new Date(stateObject.offUntil).getTime() > Date.now();
+    }
+
+    /**
+     * Pauses the bot in conversation with the user (for example, when a human agent
+     * takes over the conversation). Incomming messages are logged, but not processed.
+     *
+     * @param {string} senderId
+     * @param {number} [minutes=null] resume the bot automatically after the time
+     * @param {string} [pageId=null] required, when the Processor serves multiple pages
+     *     (the Promise is rejected without it)
+     * @returns {Promise}
+     *
+     * @memberOf Processor
+     */
+    pauseBot (senderId, minutes = null, pageId = null) {
+        const offUntil = minutes === null
+            ? null
+            : new Date(Date.now() + (minutes * 60000));
+
+        return this._loadState(false, senderId, pageId)
+            .then((stateObject) => {
+                Object.assign(stateObject, { off: true, offUntil, lock: 0 });
+                return this.stateStorage.saveState(stateObject);
+            });
+    }
+
+    /**
+     * Resumes the paused bot. The resume event is processed, so the bot can greet the user
+     *
+     * @param {string} senderId
+     * @param {string} [pageId=null] required, when the Processor serves multiple pages
+     *     (the Promise is rejected without it)
+     * @returns {Promise}
+     *
+     * @example
+     * router.use(Router.resume, (req, res) => {
+     *     res.text('I\'m back! How can I help you?');
+     * });
+     *
+     * @memberOf Processor
+     */
+    resumeBot (senderId, pageId = null) {
+        return this._loadState(false, senderId, pageId)
+            .then((stateObject) => {
+                const wasPaused = !!stateObject.off;
+                Object.assign(stateObject, { off: false, offUntil: null, lock: 0 });
+                return this.stateStorage.saveState(stateObject)
+                    .then(() => wasPaused);
+            })
+            .then((wasPaused) => {
+                if (!wasPaused) {
+                    return null;
+                }
+                return this.processMessage(Request.resume(senderId), pageId);
+            });
+    }
+
+    _onReducerError (err, req, res) {
+        if (this.options.onError) {
+            return this.options.onError(err, req, res);
+        }
+        this.options.log.error(err);
+        return null;
+    }
+
     _ensureUserProfileLoaded (isRef, senderId, pageId, stateObject) {
         const hasUserInState = stateObject.state
             && stateObject.state.user
@@ -338,13 +680,26 @@ class Processor {
             });
     }
 
-    _loadState (isRef, senderId) {
+    _missingPageId (pageId) {
+        // the state without the page would be created
+        return this.pages && !pageId
+            ? new Error('Missing pageId, the Processor serves multiple pages')
+            : null;
+    }
+
+    _loadState (isRef, senderId, pageId = null) {
         if (isRef) {
             return Promise.resolve({
-                state: Object.assign({}, this.options.defaultState)
+                state: Object.assign({}, this.pageOptions(pageId).defaultState)
             });
         }
 
+        const missingPageId = this._missingPageId(pageId);
+
+        if (missingPageId) {
+            return Promise.reject(missingPageId);
+        }
+
         return new Promise((resolve, reject) => {
             let retrys = 4;
 
@@ -355,7 +710,7 @@ class Processor {
                         return;
                     }
 
-                    this._model(senderId)
+                    this._model(senderId, pageId)
                         .then(onLoad)
                         .catch(reject);
                 } else {
@@ -367,13 +722,44 @@ class Processor {
         });
     }
 
+    _loadStateWithoutLock (senderId, pageId) {
+        const { defaultState } = this.pageOptions(pageId);
+        const missingPageId = this._missingPageId(pageId);
+
+        if (missingPageId) {
+            return Promise.reject(missingPageId);
+        }
+
+        if (typeof this.stateStorage.getState !== 'function') {
+            return Promise.resolve({
+                senderId,
+                state: Object.assign({}, defaultState)
+            });
+        }
+
+        const args = [senderId, defaultState];
+
+        if (this.pages) {
+            // conversations with the same user on different pages are separated
+            args.push(pageId);
+        }
+
+        return Promise.resolve(this.stateStorage.getState(...args));
+    }
+
     _wait () {
         return new Promise(r => setTimeout(() => r(null), this.options.timeout + 25));
     }
 
-    _model (senderId) {
-        const { timeout, defaultState } = this.options;
-        return this.stateStorage.getOrCreateAndLock(senderId, defaultState, timeout)
+    _model (senderId, pageId) {
+        const { timeout, defaultState } = this.pageOptions(pageId);
+        const args = [senderId, defaultState, timeout];
+
+        if (this.pages) {
+            args.push(pageId);
+        }
+
+        return this.stateStorage.getOrCreateAndLock(...args)
             .catch((err) => {
                 if (!err || err.code !== 11000) {
                     this.options.log.error('Bot processor load error', err);
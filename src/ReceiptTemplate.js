@@ -4,6 +4,7 @@
 'use strict';
 
 const BaseTemplate = require('./BaseTemplate');
+const { limit, LIMITS } = require('./validation');
 
 /**
  * Provides fluent interface to make nice Receipts
@@ -64,7 +65,12 @@ class ReceiptTemplate extends BaseTemplate {
             recipient_name: this.recipientName,
             currency: this.currency,
             payment_method: this.paymentMethod,
-            elements: this.elements,
+            elements: limit(
+                this.elements,
+                LIMITS.receiptElements,
+                'Number of receipt elements',
+                this.context
+            ),
             order_number: this.uniqueCode || `${Math.random() * 1000}${Date.now()}`,
             // @todo create order number somehow
             summary: {
@@ -45,12 +45,14 @@ class ReducerWrapper extends EventEmitter {
      * @param {Request} req
      * @param {Responder} res
      * @param {function} postBack
+     * @returns {Promise|*} result of the handler function
      *
      * @memberOf ReducerWrapper
      */
     reduce (req, res, postBack) {
-        this._reduce(req, res, postBack);
+        const result = this._reduce(req, res, postBack);
         this._emitAction(req);
+        return result;
     }
 
     _emitAction (req, action = null) {
@@ -4,8 +4,9 @@
 'use strict';
 
 const { tokenize } = require('./tokenizer');
-const { quickReplyAction } = require('./quickReplies');
+const { quickReplyAction, expectedInputAction } = require('./quickReplies');
 const { parseActionPayload } = require('./pathUtils');
+const parsers = require('./parsers');
 
 const BASE64_REGEX = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
 
@@ -19,7 +20,9 @@ class Request {
     constructor (data, state, pageId) {
         this.data = data;
 
-        this.message = data.message || null;
+        this._echo = (data.message && data.message.is_echo) ? data.message : null;
+
+        this.message = (!this._echo && data.message) || null;
 
         this._postback = data.postback || null;
 
@@ -27,7 +30,21 @@ class Request {
 
         this._optin = data.optin || null;
 
-        this.attachments = (data.message && data.message.attachments) || [];
+        this._delivery = data.delivery || null;
+
+        this._read = data.read || null;
+
+        this._passThread = data.pass_thread_control || null;
+
+        this._takeThread = data.take_thread_control || null;
+
+        this._standby = !!data.standby;
+
+        this._resume = data.resume || null;
+
+        this._accountLinking = data.account_linking || null;
+
+        this.attachments = (this.message && this.message.attachments) || [];
 
         /**
          * @prop {string} senderId sender.id from the event
@@ -48,6 +65,11 @@ class Request {
          * @prop {object} state current state of the conversation
          */
         this.state = state;
+
+        /**
+         * @prop {object.<string, string>} params named parameters of the matched route
+         */
+        this.params = {};
     }
 
     /**
@@ -92,6 +114,45 @@ class Request {
         return this._checkAttachmentType('file', attachmentIndex);
     }
 
+    /**
+     * Checks, when the attachment is a location
+     *
+     * @param {number} [attachmentIndex=0] use, when user sends more then one attachment
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isLocation (attachmentIndex = 0) {
+        return this._checkAttachmentType('location', attachmentIndex);
+    }
+
+    /**
+     * Returns location sent by the user or null
+     *
+     * @param {number} [attachmentIndex=0] use, when user sends more then one attachment
+     * @returns {null|{lat:number,long:number,title:string|null,url:string|null}}
+     *
+     * @example
+     * if (req.isLocation()) {
+     *     const { lat, long } = req.location();
+     * }
+     *
+     * @memberOf Request
+     */
+    location (attachmentIndex = 0) {
+        if (!this.isLocation(attachmentIndex)) {
+            return null;
+        }
+        const { payload = {}, title = null, url = null } = this.attachments[attachmentIndex];
+        const { coordinates = {} } = payload || {};
+        return {
+            lat: coordinates.lat,
+            long: coordinates.long,
+            title,
+            url
+        };
+    }
+
     /**
      * Returns whole attachment or null
      *
@@ -128,6 +189,7 @@ class Request {
 
     /**
      * Returns true, when the request is text message, quick reply or attachment
+     * (echoes of messages sent by the page are not messages)
      *
      * @returns {boolean}
      *
@@ -137,6 +199,24 @@ class Request {
         return this.message !== null;
     }
 
+    /**
+     * Returns locale of the user - the one chosen with `res.setLocale()`
+     * or the locale from the user profile
+     *
+     * @returns {string|null}
+     *
+     * @memberOf Request
+     */
+    locale () {
+        if (!this.state) {
+            return null;
+        }
+        if (this.state._locale) {
+            return this.state._locale;
+        }
+        return (this.state.user && this.state.user.locale) || null;
+    }
+
     /**
      * Returns text of the message
      *
@@ -160,6 +240,56 @@ class Request {
         return this.message.text || '';
     }
 
+    /**
+     * Returns e-mail address from the text of the message
+     *
+     * @returns {string|null}
+     *
+     * @memberOf Request
+     */
+    email () {
+        return parsers.email(this.text());
+    }
+
+    /**
+     * Returns number from the text of the message (`1 234,5`, `1,234.5`, `-12`)
+     *
+     * @returns {number|null}
+     *
+     * @memberOf Request
+     */
+    number () {
+        return parsers.number(this.text());
+    }
+
+    /**
+     * Returns phone number from the text of the message
+     *
+     * @returns {string|null} digits, international numbers are prefixed with `+`
+     *
+     * @memberOf Request
+     */
+    phone () {
+        return parsers.phone(this.text());
+    }
+
+    /**
+     * Returns date from the text of the message. Understands Czech and English
+     * formats (`21. 3. 2017`, `3/21/2017`, `March 21`, `21. března`) and relative
+     * expressions (`tomorrow`, `za 3 dny`, `next friday`).
+     *
+     * @param {{relative?:boolean,now?:Date}} [options]
+     * @returns {Date|null}
+     *
+     * @example
+     * const date = req.date({ relative: false }); // only absolute dates
+     *
+     * @memberOf Request
+     */
+    date (options = {}) {
+        return parsers.date(this.text(), options);
+    }
+
     /**
      * Returns action or data of quick reply
      * When `getData` is `true`, object will be returned. Otherwise string or null.
@@ -215,6 +345,200 @@ class Request {
         return this._optin !== null;
     }
 
+    /**
+     * Returns true, if request is the delivery confirmation
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isDelivery () {
+        return this._delivery !== null;
+    }
+
+    /**
+     * Returns watermark and message ids of the delivery confirmation
+     *
+     * @returns {null|{watermark:number, mids:string[]}}
+     *
+     * @memberOf Request
+     */
+    delivery () {
+        if (this._delivery === null) {
+            return null;
+        }
+        return {
+            watermark: this._delivery.watermark,
+            mids: this._delivery.mids || []
+        };
+    }
+
+    /**
+     * Returns true, if request is the read confirmation
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isRead () {
+        return this._read !== null;
+    }
+
+    /**
+     * Returns watermark of the read confirmation
+     * (all messages sent before the watermark were read)
+     *
+     * @returns {null|{watermark:number}}
+     *
+     * @memberOf Request
+     */
+    read () {
+        if (this._read === null) {
+            return null;
+        }
+        return {
+            watermark: this._read.watermark
+        };
+    }
+
+    /**
+     * Returns true, if request is the echo of message sent by the page
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isEcho () {
+        return this._echo !== null;
+    }
+
+    /**
+     * Returns the echoed message
+     *
+     * @returns {null|{mid:string, appId:string, metadata:string, text:string}}
+     *
+     * @memberOf Request
+     */
+    echo () {
+        if (this._echo === null) {
+            return null;
+        }
+        return {
+            mid: this._echo.mid,
+            appId: this._echo.app_id || null,
+            metadata: this._echo.metadata || null,
+            text: this._echo.text || ''
+        };
+    }
+
+    /**
+     * Returns true, if the thread control was passed to this app
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isPassThread () {
+        return this._passThread !== null;
+    }
+
+    /**
+     * Returns app ids and metadata of the passed thread control
+     *
+     * @returns {null|{newOwnerAppId:string, previousOwnerAppId:string, metadata:string}}
+     *
+     * @memberOf Request
+     */
+    passThread () {
+        if (this._passThread === null) {
+            return null;
+        }
+        return {
+            newOwnerAppId: this._passThread.new_owner_app_id || null,
+            previousOwnerAppId: this._passThread.previous_owner_app_id || null,
+            metadata: this._passThread.metadata || null
+        };
+    }
+
+    /**
+     * Returns true, if the thread control was taken from this app
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isTakeThread () {
+        return this._takeThread !== null;
+    }
+
+    /**
+     * Returns true, if the event arrived on the standby channel
+     * (while another app is the thread owner)
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isStandby () {
+        return this._standby;
+    }
+
+    /**
+     * Returns true, if the paused bot was resumed
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isResume () {
+        return this._resume !== null;
+    }
+
+    /**
+     * Returns true, if the user has linked or unlinked the account
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isAccountLinking () {
+        return this._accountLinking !== null;
+    }
+
+    /**
+     * Returns the account linking event or null
+     *
+     * @returns {null|{status:string,authorizationCode:string|null}}
+     *     status is `linked` or `unlinked`
+     *
+     * @example
+     * if (req.isAccountLinking() && req.accountLinking().status === 'linked') {
+     *     const { authorizationCode } = req.accountLinking();
+     * }
+     *
+     * @memberOf Request
+     */
+    accountLinking () {
+        if (!this.isAccountLinking()) {
+            return null;
+        }
+        return {
+            status: this._accountLinking.status,
+            authorizationCode: this._accountLinking.authorization_code || null
+        };
+    }
+
+    /**
+     * Returns true for delivery, read and echo events, which are not send by user
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    isLightweight () {
+        return this.isDelivery() || this.isRead() || this.isEcho();
+    }
+
     /**
      * Returns action of the postback or quickreply
      * When `getData` is `true`, object will be returned. Otherwise string or null.
@@ -249,7 +573,16 @@ class Request {
             res = this._base64Ref(this._optin, getData);
         }
 
-        if (!res && this.message !== null && this.message.quick_reply) {
+        if (!res && this.state._expectedInput && this.isMessage()) {
+            const input = expectedInputAction(this.state._expectedInput, this);
+            if (input) {
+                res = this._processPayload(input, getData);
+            }
+        }
+
+        if (!res && this.message !== null && this.message.quick_reply
+            && !this._isUserInputQuickReply()) {
+
             res = this._processPayload(this.message.quick_reply, getData);
         }
 
@@ -259,7 +592,7 @@ class Request {
                 res = this._processPayload(payload, getData);
             }
         }
-        if (!res && this.state._expected) {
+        if (!res && this.state._expected && this.isMessage()) {
             res = this._processPayload(this.state._expected, getData);
         }
 
@@ -305,6 +638,23 @@ class Request {
         return this._processPayload(process, getData);
     }
 
+    /**
+     * E-mail and phone quick replies have the value as a payload,
+     * so only the offered inputs without the action payload are recognized
+     *
+     * @private
+     */
+    _isUserInputQuickReply () {
+        const { payload } = this.message.quick_reply;
+        const expectedInputs = this.state._expectedInput || [];
+        const isOffered = expectedInputs
+            .some(input => input.type === 'email' || input.type === 'phone');
+
+        return isOffered
+            && typeof payload === 'string'
+            && !payload.match(/^\{.*\}$/);
+    }
+
     _processPayload (object = {}, getData = false) {
         if (getData) {
             const { data } = parseActionPayload(object);
@@ -388,6 +738,82 @@ Request.optin = function (userRef, action, data = {}) {
     };
 };
 
+Request.delivery = function (senderId, watermark, mids = []) {
+    return {
+        sender: {
+            id: senderId
+        },
+        delivery: {
+            mids,
+            watermark
+        }
+    };
+};
+
+Request.read = function (senderId, watermark) {
+    return {
+        sender: {
+            id: senderId
+        },
+        read: {
+            watermark
+        }
+    };
+};
+
+Request.echo = function (pageId, recipientId, text, appId = null) {
+    return {
+        sender: {
+            id: pageId
+        },
+        recipient: {
+            id: recipientId
+        },
+        message: {
+            is_echo: true,
+            app_id: appId,
+            mid: `mid.${Date.now()}`,
+            text
+        }
+    };
+};
+
+Request.passThread = function (senderId, newOwnerAppId, metadata = null) {
+    return {
+        sender: {
+            id: senderId
+        },
+        pass_thread_control: {
+            new_owner_app_id: newOwnerAppId,
+            metadata
+        }
+    };
+};
+
+Request.resume = function (senderId) {
+    return {
+        sender: {
+            id: senderId
+        },
+        resume: {
+            timestamp: Date.now()
+        }
+    };
+};
+
+Request.accountLinking = function (senderId, status = 'linked', authorizationCode = null) {
+    const accountLinking = { status };
+    if (authorizationCode !== null) {
+        accountLinking.authorization_code = authorizationCode;
+    }
+    return {
+        sender: {
+            id: senderId
+        },
+        account_linking: accountLinking
+    };
+};
+
 Request.fileAttachment = function (senderId, url, type = 'file') {
     return {
         sender: {
@@ -404,4 +830,36 @@ Request.fileAttachment = function (senderId, url, type = 'file') {
     };
 };
 
+Request.location = function (senderId, lat, long, title = null) {
+    return {
+        sender: {
+            id: senderId
+        },
+        message: {
+            attachments: [{
+                type: 'location',
+                title,
+                url: null,
+                payload: {
+                    coordinates: { lat, long }
+                }
+            }]
+        }
+    };
+};
+
+Request.userInput = function (senderId, value) {
+    return {
+        sender: {
+            id: senderId
+        },
+        message: {
+            text: value,
+            quick_reply: {
+                payload: value
+            }
+        }
+    };
+};
+
 module.exports = Request;
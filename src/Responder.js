@@ -6,8 +6,14 @@
 const ReceiptTemplate = require('./ReceiptTemplate');
 const ButtonTemplate = require('./ButtonTemplate');
 const GenericTemplate = require('./GenericTemplate');
+const ListTemplate = require('./ListTemplate');
+const MediaTemplate = require('./MediaTemplate');
 const { makeAbsolute } = require('./pathUtils');
 const { makeQuickReplies } = require('./quickReplies');
+const i18n = require('./i18n');
+const {
+    limit, payloadLimit, splitText, LIMITS
+} = require('./validation');
 const util = require('util');
 
 /**
@@ -29,7 +35,10 @@ class Responder {
 
         this.options = {
             translator: w => w,
-            appUrl: ''
+            appUrl: '',
+            validation: null,
+            log: null,
+            splitLongTexts: false
         };
 
         Object.assign(this.options, options);
@@ -42,7 +51,33 @@ class Responder {
             }, this.options.autoTyping);
         }
 
-        this._t = this.options.translator;
+        /**
+         * @prop {string|null} locale locale of the user, which is passed to the translator
+         */
+        this.locale = null;
+
+        this._t = (text, context = {}) => this.options.translator(
+            text,
+            Object.assign({ locale: this.locale }, context)
+        );
+    }
+
+    /**
+     * Sets the locale of the user, the choice is stored in the state (`_locale`)
+     * and it takes precedence over the locale from the user profile
+     *
+     * @param {string} locale
+     * @returns {this}
+     *
+     * @example
+     * res.setLocale('cs_CZ')
+     *     .text('Hello'); // translator receives ('Hello', { locale: 'cs_CZ' })
+     *
+     * @memberOf Responder
+     */
+    setLocale (locale) {
+        this.locale = locale;
+        return this.setState({ _locale: locale });
     }
 
     setPath (currentContext) {
@@ -66,9 +101,63 @@ class Responder {
      *     }
      * })
      *
+     * // ask for the location, e-mail or phone number of the user
+     * res.text('Where are you?', {
+     *     '/here': { type: 'location' } // or 'email', 'phone'
+     * });
+     *
      * @memberOf Responder
      */
     text (text, ...args) {
+        let replies = null;
+        if (args.length > 0 && typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null) {
+            replies = args.pop();
+        }
+
+        const translatedText = this._t(text);
+
+        if (args.length > 0) {
+            return this._sendText(util.format(translatedText, ...args), replies);
+        }
+        return this._sendText(translatedText, replies);
+    }
+
+    /**
+     * Send text with named placeholders and plural forms as a response
+     *
+     * Plural forms are separated with `|` and selected by the `count` parameter
+     * using the plural rules of the user's locale. The translator receives
+     * the `count` in the context.
+     *
+     * @param {string} text text with `{name}` placeholders
+     * @param {object} [params={}] values of placeholders
+     * @param {object.<string, string>} [quickReplys]
+     * @returns {this}
+     *
+     * @example
+     * res.textWithParams('Hello {name}', { name: 'John' });
+     *
+     * res.textWithParams('You have one item|You have {count} items', { count: 3 }, {
+     *     checkout: 'Checkout'
+     * });
+     *
+     * @memberOf Responder
+     */
+    textWithParams (text, params = {}, quickReplys = null) {
+        const context = typeof params.count === 'number' ? { count: params.count } : {};
+        const translatedText = i18n.format(this._t(text, context), params, this.locale);
+        return this._sendText(translatedText, quickReplys);
+    }
+
+    _sendText (text, replies) {
+        if (this.options.splitLongTexts && typeof text === 'string' && text.length > LIMITS.text) {
+            const chunks = splitText(text);
+            const last = chunks.pop();
+
+            chunks.forEach(chunk => this._sendText(chunk, null));
+            return this._sendText(last, replies);
+        }
+
         const messageData = {
             recipient: {
                 id: this._senderId
@@ -82,25 +171,18 @@ class Responder {
             messageData.recipient = { user_ref: this._senderId };
         }
 
-        let replies = null;
-        if (args.length > 0 && typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null) {
-            replies = args.pop();
-        }
-
-        const translatedText = this._t(text);
-
-        if (args.length > 0) {
-            messageData.message.text = util.format(translatedText, ...args);
-        } else {
-            messageData.message.text = translatedText;
-        }
+        messageData.message.text = limit(text, LIMITS.text, 'Text', this.options);
 
         if (replies) {
-            const { quickReplies, expectedKeywords }
+            const { quickReplies, expectedKeywords, expectedInputs }
                 = makeQuickReplies(replies, this.path, this._t);
 
-            messageData.message.quick_replies = quickReplies;
+            messageData.message.quick_replies = this._validateQuickReplies(quickReplies);
             this.setState({ _expectedKeywords: expectedKeywords });
+
+            if (expectedInputs.length > 0) {
+                this.setState({ _expectedInput: expectedInputs });
+            }
         }
 
         this._autoTypingIfEnabled(messageData.message.text);
@@ -108,6 +190,19 @@ class Responder {
         return this;
     }
 
+    _validateQuickReplies (quickReplies) {
+        quickReplies
+            .filter(reply => reply.content_type === 'text')
+            .forEach((reply) => {
+                Object.assign(reply, {
+                    title: limit(reply.title, LIMITS.quickReplyTitle, 'Quick reply title', this.options),
+                    payload: payloadLimit(reply.payload, this.options)
+                });
+            });
+
+        return limit(quickReplies, LIMITS.quickReplies, 'Number of quick replies', this.options);
+    }
+
     /**
      * Sets new attributes to state (with Object.assign())
      *
@@ -148,6 +243,7 @@ class Responder {
      * Sends image as response. Requires appUrl option to send images from server
      *
      * @param {string} imageUrl relative or absolute url
+     * @param {boolean} [reusable=false] force facebook to cache image
      * @returns {this}
      *
      * @example
@@ -159,11 +255,63 @@ class Responder {
      *
      * @memberOf Responder
      */
-    image (imageUrl) {
-        let url = imageUrl;
+    image (imageUrl, reusable = false) {
+        return this._sendAttachment('image', imageUrl, reusable);
+    }
+
+    /**
+     * Sends audio as response. Requires appUrl option to send audio from server
+     *
+     * @param {string} audioUrl relative or absolute url
+     * @param {boolean} [reusable=false] force facebook to cache the audio
+     * @returns {this}
+     *
+     * @example
+     * res.audio('/sounds/welcome.mp3', true);
+     *
+     * @memberOf Responder
+     */
+    audio (audioUrl, reusable = false) {
+        return this._sendAttachment('audio', audioUrl, reusable);
+    }
+
+    /**
+     * Sends video as response. Requires appUrl option to send videos from server
+     *
+     * @param {string} videoUrl relative or absolute url
+     * @param {boolean} [reusable=false] force facebook to cache the video
+     * @returns {this}
+     *
+     * @example
+     * res.video('https://example.com/video.mp4');
+     *
+     * @memberOf Responder
+     */
+    video (videoUrl, reusable = false) {
+        return this._sendAttachment('video', videoUrl, reusable);
+    }
+
+    /**
+     * Sends file as response. Requires appUrl option to send files from server
+     *
+     * @param {string} fileUrl relative or absolute url
+     * @param {boolean} [reusable=false] force facebook to cache the file
+     * @returns {this}
+     *
+     * @example
+     * res.file('/files/menu.pdf');
+     *
+     * @memberOf Responder
+     */
+    file (fileUrl, reusable = false) {
+        return this._sendAttachment('file', fileUrl, reusable);
+    }
 
-        if (!imageUrl.match(/^https?:\/\//)) {
-            url = `${this.options.appUrl}${imageUrl}`;
+    _sendAttachment (type, attachmentUrl, reusable) {
+        let url = attachmentUrl;
+
+        if (!attachmentUrl.match(/^https?:\/\//)) {
+            url = `${this.options.appUrl}${attachmentUrl}`;
         }
 
         const messageData = {
@@ -172,7 +320,7 @@ class Responder {
             },
             message: {
                 attachment: {
-                    type: 'image',
+                    type,
                     payload: {
                         url
                     }
@@ -180,6 +328,10 @@ class Responder {
             }
         };
 
+        if (reusable) {
+            messageData.message.attachment.payload.is_reusable = true;
+        }
+
         if (this._isRef) {
             messageData.recipient = { user_ref: this._senderId };
         }
@@ -323,7 +475,7 @@ class Responder {
      *     .addElement('another', 'subtitle')
      *         .setElementImage('https://goo.gl/image.png')
      *         .setElementAction('action', { actionData: 1 })
-     *         .urlButton('Local link with extension', '/local/path', true, 'compact')
+     *         .urlButton('Local link', '/local/path', true, 'compact')
      *     .send();
      *
      * @returns {GenericTemplate}
@@ -337,6 +489,121 @@ class Responder {
         );
     }
 
+    /**
+     * Creates a list template
+     *
+     * @param {string} [topElementStyle='large'] large|compact
+     * @returns {ListTemplate}
+     *
+     * @example
+     * res.listTemplate('compact')
+     *     .addElement('title', 'subtitle')
+     *         .setElementImage('/local.png')
+     *         .postBackButton('Button title', 'action', { actionData: 1 })
+     *     .addElement('another', 'subtitle')
+     *         .setElementAction('https://www.seznam.cz')
+     *     .viewMoreButton('View more', 'more', { page: 2 })
+     *     .send();
+     *
+     * @memberOf Responder
+     */
+    listTemplate (topElementStyle = 'large') {
+        return new ListTemplate(
+            payload => this.template(payload),
+            this._createContext(),
+            topElementStyle
+        );
+    }
+
+    /**
+     * Creates a media template with an image or a video
+     *
+     * @param {string} mediaType image|video
+     * @param {string} [url=null] relative or absolute url of the media
+     * @returns {MediaTemplate}
+     *
+     * @example
+     * res.mediaTemplate('image', '/local.png')
+     *     .postBackButton('Button title', 'action')
+     *     .send();
+     *
+     * // uploaded attachment
+     * res.mediaTemplate()
+     *     .setAttachment('video', '1234567890')
+     *     .urlButton('Watch more', 'https://goo.gl')
+     *     .send();
+     *
+     * @memberOf Responder
+     */
+    mediaTemplate (mediaType = 'image', url = null) {
+        const template = new MediaTemplate(
+            payload => this.template(payload),
+            this._createContext()
+        );
+        if (url !== null) {
+            template.setMedia(mediaType, url);
+        }
+        return template;
+    }
+
+    /**
+     * Passes the thread control to another app (for example to the page inbox)
+     *
+     * @param {string} appId target app id (the page inbox has `263902037430900`)
+     * @param {string|object} [metadata=null] additional data for the target app
+     * @returns {this}
+     *
+     * @example
+     * res.text('Wait a moment, I\'ll call a human')
+     *     .passThreadControl('263902037430900', { reason: 'help' });
+     *
+     * @memberOf Responder
+     */
+    passThreadControl (appId, metadata = null) {
+        const messageData = {
+            recipient: {
+                id: this._senderId
+            },
+            target_app_id: appId
+        };
+
+        if (metadata !== null) {
+            messageData.metadata = typeof metadata === 'string'
+                ? metadata
+                : JSON.stringify(metadata);
+        }
+
+        this._send(messageData);
+        return this;
+    }
+
+    /**
+     * Takes the thread control back from the app, which currently owns the thread
+     * (the app has to have the primary receiver role)
+     *
+     * @param {string|object} [metadata=null]
+     * @returns {this}
+     *
+     * @memberOf Responder
+     */
+    takeThreadControl (metadata = null) {
+        const messageData = {
+            recipient: {
+                id: this._senderId
+            },
+            take_thread_control: true
+        };
+
+        if (metadata !== null) {
+            messageData.metadata = typeof metadata === 'string'
+                ? metadata
+                : JSON.stringify(metadata);
+        }
+
+        this._send(messageData);
+        return this;
+    }
+
     _senderAction (action) {
         const messageData = {
             recipient: {
@@ -354,10 +621,12 @@ class Responder {
     }
 
     _createContext () {
-        const { translator, appUrl } = this.options;
+        const { appUrl, validation, log } = this.options;
         return {
-            translator,
+            translator: this._t,
             appUrl,
+            validation,
+            log,
             token: this.token || '',
             senderId: this._senderId,
             path: this.path
@@ -7,6 +7,10 @@ const ReducerWrapper = require('./ReducerWrapper');
 const { makeAbsolute } = require('./pathUtils');
 const pathToRegexp = require('path-to-regexp');
 
+function isThenable (value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
 /**
  * Cascading router
  *
@@ -59,9 +63,16 @@ class Router extends ReducerWrapper {
      * @example
      * // middleware
      * router.use((req, res, postBack, next) => {
-     *     next(); // strictly synchronous
+     *     next();
      * });
      *
+     * // asynchronous middleware (the Promise has to be returned)
+     * router.use((req, res, postBack, next) => loadData()
+     *     .then((data) => {
+     *         res.setState({ data });
+     *         next();
+     *     }));
+     *
      * // route with matching regexp
      * router.use('action', /help/, (req, res) => {
      *     res.text('Hello!');
@@ -79,12 +90,24 @@ class Router extends ReducerWrapper {
      *        postBack('anotherAction', { someData: true })
      *    });
      *
+     * // route with parameters (available in `req.params`)
+     * router.use('/order/:orderId/item/:itemId', (req, res) => {
+     *     const { orderId, itemId } = req.params;
+     * });
+     *
      * // append router with exit action
      * router.use('/path', subRouter)
      *    .next('exitAction', (data, req, res, postBack, next) => {
      *        postBack('anotherAction', { someData: true })
      *    });
      *
+     * // error handler (the function accepts exactly five arguments)
+     * // errors of preceding routes and nested routers are passed here,
+     * // calling `next()` passes the error to the following error handler
+     * router.use((err, req, res, postBack, next) => {
+     *     res.text('Sorry, something went wrong');
+     * });
+     *
      * @memberOf Router
      */
     use (...reducers) {
@@ -101,6 +124,7 @@ class Router extends ReducerWrapper {
         for (let reduce of reducers) {
 
             let isReducer = false;
+            const isErrorHandler = typeof reduce === 'function' && reduce.length === 5;
 
             if (typeof reduce === 'object' && reduce.reduce) {
                 isReducer = true;
@@ -114,13 +138,17 @@ class Router extends ReducerWrapper {
 
             path = this._normalizePath(path);
 
+            const keys = [];
+
             this._routes.push({
                 path,
-                pathMatch: pathToRegexp(path, [], { end: !isReducer }),
+                pathMatch: pathToRegexp(path, keys, { end: !isReducer }),
+                keys,
                 match,
                 reduce,
                 nexts,
-                isReducer
+                isReducer,
+                isErrorHandler
             });
         }
 
@@ -138,43 +166,69 @@ class Router extends ReducerWrapper {
 
     _createNext (route, req, res, postBack, path) {
         const next = (action = null, data = {}) => {
-            let finnished = false;
             res.setPath(path);
-            if (route.nexts) {
-                finnished = route.nexts.some((nextAction) => {
-                    if (nextAction.action === action || nextAction.action === '*') {
-                        const nextContext = this._createNext({}, req, res);
-                        nextAction.listener(data, req, res, postBack, nextContext);
-
-                        if (!nextContext.called) {
-                            return true;
-                        } else if (nextContext.action) {
-                            next.action = nextContext.action;
-                            next.data = nextContext.data;
-                            next.called = true;
-                            return true;
-                        }
-                    }
-                    return false;
-                });
-            }
+            const nexts = (route.nexts || [])
+                .filter(nextAction => nextAction.action === action || nextAction.action === '*');
 
-            if (!finnished && action) {
-                next.action = action;
-                next.data = data;
-            }
-            if (!next.called) {
-                next.called = !finnished;
+            const result = this._processNexts(nexts, 0, next, action, data, [req, res, postBack]);
+
+            if (isThenable(result)) {
+                next.pending = result;
             }
+            return result;
         };
 
         next.action = null;
         next.data = {};
         next.called = false;
+        next.pending = null;
+        next.path = path;
 
         return next;
     }
 
+    _processNexts (nexts, index, next, action, data, args) {
+        const finish = (finnished) => {
+            if (!finnished && action) {
+                Object.assign(next, { action, data });
+            }
+            if (!next.called) {
+                Object.assign(next, { called: !finnished });
+            }
+        };
+
+        if (index >= nexts.length) {
+            finish(false);
+            return null;
+        }
+
+        const nextContext = this._createNext({}, ...args, next.path);
+        const result = nexts[index].listener(data, ...args, nextContext);
+
+        const resolve = () => {
+            if (!nextContext.called) {
+                finish(true);
+                return null;
+            } else if (nextContext.action) {
+                Object.assign(next, {
+                    action: nextContext.action,
+                    data: nextContext.data,
+                    called: true
+                });
+                finish(true);
+                return null;
+            }
+            return this._processNexts(nexts, index + 1, next, action, data, args);
+        };
+
+        if (isThenable(result) || nextContext.pending) {
+            return Promise.all([result, nextContext.pending])
+                .then(resolve);
+        }
+
+        return resolve();
+    }
+
     _relativePostBack (origPostBack, path) {
         return function postBack (action, data = {}) {
             return origPostBack(makeAbsolute(action, path), data);
@@ -190,36 +244,163 @@ class Router extends ReducerWrapper {
         return postBack;
     }
 
+    /**
+     * Reduces the request through the matching routes
+     *
+     * Handlers, exit actions and nested routers are allowed to return a Promise,
+     * the next route is processed after the Promise is resolved.
+     *
+     * @param {Request} req
+     * @param {Responder} res
+     * @param {function} [postBack]
+     * @param {function} [next]
+     * @param {string} [path]
+     * @returns {Promise|null} Promise, when some of the handlers was asynchronous
+     *
+     * @memberOf Router
+     */
     reduce (req, res, postBack = () => {}, next = () => {}, path = '/') {
         const action = this._action(req, path);
         const relativePostBack = this._makePostBackRelative(postBack, path);
-        const found = this._routes.some((route) => {
-            if (this._routeMatch(route, action, req)) {
-                let pathContext = `${path === '/' ? '' : path}${route.path.replace(/\/\*/, '')}`;
-                res.setPath(path);
-                const nextContext = this._createNext(route, req, res, relativePostBack, path);
-                route.reduce(req, res, relativePostBack, nextContext, pathContext);
-
-                if (!route.isReducer) {
-                    pathContext = `${path === '/' ? '' : path}${route.path}`;
-                    this._emitAction(req, pathContext);
-                }
+        return this._processRoutes(0, action, req, res, relativePostBack, next, path);
+    }
 
-                if (!nextContext.called) {
-                    return true;
-                } else if (nextContext.action) {
-                    next(nextContext.action, nextContext.data);
-                    return true;
+    _findRoute (index, action, req, isErrorHandler = false) {
+        let routeIndex = index;
+        let match = null;
+
+        while (routeIndex < this._routes.length) {
+            const route = this._routes[routeIndex];
+            if (route.isErrorHandler === isErrorHandler) {
+                match = this._routeMatch(route, action, req);
+                if (match) {
+                    return { routeIndex, route, match };
                 }
             }
-            return false;
-        });
+            routeIndex++;
+        }
+
+        return null;
+    }
+
+    _processRoutes (index, action, req, res, postBack, next, path) {
+        const found = this._findRoute(index, action, req);
+
         if (!found) {
-            next();
+            return next();
         }
+
+        const { routeIndex, route, match } = found;
+        const params = this._routeParams(route, action, match);
+        let matchedPath = route.path.replace(/\/\*/, '');
+
+        if (params) {
+            Object.assign(req, { params: Object.assign({}, req.params, params) });
+            matchedPath = match[0];
+        }
+
+        const processError = err => this._processError(
+            err, routeIndex + 1, action, req, res, postBack, next, path
+        );
+
+        let pathContext = `${path === '/' ? '' : path}${matchedPath}`;
+        res.setPath(path);
+        const nextContext = this._createNext(route, req, res, postBack, path);
+        let result;
+
+        try {
+            result = route.reduce(req, res, postBack, nextContext, pathContext);
+        } catch (e) {
+            return processError(e);
+        }
+
+        if (!route.isReducer) {
+            pathContext = `${path === '/' ? '' : path}${route.path}`;
+            this._emitAction(req, pathContext);
+        }
+
+        const resolve = () => {
+            if (!nextContext.called) {
+                return null;
+            } else if (nextContext.action) {
+                return next(nextContext.action, nextContext.data);
+            }
+            return this._processRoutes(routeIndex + 1, action, req, res, postBack, next, path);
+        };
+
+        if (isThenable(result) || nextContext.pending) {
+            return Promise.all([result, nextContext.pending])
+                .then(resolve, processError);
+        }
+
+        return resolve();
+    }
+
+    _processError (err, index, action, req, res, postBack, next, path) {
+        const found = this._findRoute(index, action, req, true);
+
+        if (!found) {
+            throw err;
+        }
+
+        const { routeIndex, route } = found;
+
+        const processError = e => this._processError(
+            e, routeIndex + 1, action, req, res, postBack, next, path
+        );
+
+        res.setPath(path);
+        const nextContext = this._createNext(route, req, res, postBack, path);
+        let result;
+
+        try {
+            result = route.reduce(err, req, res, postBack, nextContext);
+        } catch (e) {
+            return processError(e);
+        }
+
+        const resolve = () => {
+            if (!nextContext.called) {
+                return null;
+            } else if (nextContext.action) {
+                return next(nextContext.action, nextContext.data);
+            }
+            return processError(err);
+        };
+
+        if (isThenable(result) || nextContext.pending) {
+            return Promise.all([result, nextContext.pending])
+                .then(resolve, processError);
+        }
+
+        return resolve();
+    }
+
+    _routeParams (route, action, match) {
+        if (!action || route.path === '/*' || !Array.isArray(match)) {
+            return null;
+        }
+
+        const params = {};
+        let hasParams = false;
+
+        route.keys.forEach((key, i) => {
+            if (typeof key.name !== 'string' || match[i + 1] === undefined) {
+                return;
+            }
+            params[key.name] = decodeURIComponent(match[i + 1]);
+            hasParams = true;
+        });
+
+        return hasParams ? params : null;
     }
 
     _routeMatch (route, action, req) {
+        if (route.match && route.match.strict) {
+            // both, the path and the matcher has to match
+            const match = route.path === '/*' || (action && route.pathMatch.exec(action));
+            return match && route.match(req) ? match : null;
+        }
         if (action && route.path !== '/*') {
             return route.pathMatch.exec(action);
         } else if (route.match === null) {
@@ -250,4 +431,120 @@ class Router extends ReducerWrapper {
     }
 }
 
+/**
+ * Matcher of delivery confirmations
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.delivery, (req) => {
+ *     const { watermark, mids } = req.delivery();
+ * });
+ */
+Router.delivery = req => req.isDelivery();
+
+/**
+ * Matcher of read confirmations
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.read, (req) => {
+ *     const { watermark } = req.read();
+ * });
+ */
+Router.read = req => req.isRead();
+
+/**
+ * Matcher of echoes of the messages sent by the page
+ * (echoes are passed to the reducer only with the `processEchoes` option of the Processor)
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.echo, (req) => {
+ *     const { text, appId } = req.echo();
+ * });
+ */
+Router.echo = req => req.isEcho();
+
+/**
+ * Matcher of the resume event, which is fired, when the paused bot is resumed
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.resume, (req, res) => {
+ *     res.text('I\'m back!');
+ * });
+ */
+Router.resume = req => req.isResume();
+
+/**
+ * Matcher of the account linking event, when the user has linked the account
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.accountLinked, (req, res) => {
+ *     const { authorizationCode } = req.accountLinking();
+ *     res.text('You are logged in');
+ * });
+ */
+Router.accountLinked = req => req.isAccountLinking()
+    && req.accountLinking().status === 'linked';
+
+/**
+ * Matcher of the account linking event, when the user has unlinked the account
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ *
+ * @example
+ * router.use(Router.accountUnlinked, (req, res) => {
+ *     res.text('You are logged out');
+ * });
+ */
+Router.accountUnlinked = req => req.isAccountLinking()
+    && req.accountLinking().status === 'unlinked';
+
+/**
+ * Creates matcher, which passes only when the value of the message can be parsed.
+ * Unlike other matchers, it has to match together with the path of the route,
+ * so it's useful for validation of the expected input.
+ *
+ * @param {string} type email|number|phone|date
+ * @param {object} [options] options of the parser
+ * @returns {function}
+ *
+ * @example
+ * router.use('/start', (req, res) => {
+ *     res.text('What is your e-mail?')
+ *         .expected('email');
+ * });
+ *
+ * router.use('/email', Router.parses('email'), (req, res) => {
+ *     res.setState({ email: req.email() });
+ * });
+ *
+ * router.use('/email', (req, res) => {
+ *     res.text('This is not an e-mail, try it again please')
+ *         .expected('email');
+ * });
+ */
+Router.parses = function (type, options = {}) {
+    if (['email', 'number', 'phone', 'date'].indexOf(type) === -1) {
+        throw new Error(`Unknown parser: ${type}`);
+    }
+
+    const matcher = req => req[type](options) !== null;
+    matcher.strict = true;
+    return matcher;
+};
+
 module.exports = Router;
@@ -34,8 +34,10 @@ class SecurityMiddleware {
         let examinedSenderId = null;
 
         body.entry.forEach((event) => {
-            if (Array.isArray(event.messaging)) {
-                event.messaging.forEach((message) => {
+            const messaging = [].concat(event.messaging || [], event.standby || []);
+
+            if (messaging.length !== 0) {
+                messaging.forEach((message) => {
                     examinedSenderId = message && message.sender && message.sender.id;
 
                     if (!examinedSenderId) {
@@ -117,18 +119,38 @@ class SecurityMiddleware {
                 return Promise.reject(this._getUnauthorizedError('No sender'));
             }
 
-            return this.tokenStorage.findByToken(req.cookies[this.cookieName], senderId)
-                .then((token) => {
-                    if (!token) {
-                        throw this._getUnauthorizedError('No token found');
-                    }
-                    return token;
-                });
+            return this.verifyToken(req.cookies[this.cookieName], senderId);
         }
 
         return Promise.reject(this._getUnauthorizedError('No authorization'));
     }
 
+    /**
+     * Verifies the token of the user (for example from the account linking url)
+     *
+     * @param {string} token
+     * @param {string} senderId
+     * @returns {Promise.<object>} the token object
+     *
+     * @memberOf SecurityMiddleware
+     */
+    verifyToken (token, senderId) {
+        if (!this.tokenStorage) {
+            return Promise.reject(this._getUnauthorizedError('No token storage'));
+        }
+        if (!token || !senderId) {
+            return Promise.reject(this._getUnauthorizedError('Missing token'));
+        }
+
+        return this.tokenStorage.findByToken(token, senderId)
+            .then((found) => {
+                if (!found) {
+                    throw this._getUnauthorizedError('No token found');
+                }
+                return found;
+            });
+    }
+
     /**
      * Fetch token for user to be used as cookie
      *
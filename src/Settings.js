@@ -5,6 +5,51 @@
 
 const request = require('request-promise');
 const MenuComposer = require('./MenuComposer');
+const { limit, LIMITS } = require('./validation');
+
+const PROFILE_URL = 'https://graph.facebook.com/v2.8/me/messenger_profile';
+
+function normalizeField (field, value) {
+    if (field === 'whitelisted_domains' && Array.isArray(value)) {
+        return value.map(dom => dom.replace(/\/$/, '')).sort();
+    }
+    return value;
+}
+
+// JSON with sorted keys, so the objects can be compared
+function stableStringify (value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const pairs = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${pairs.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isSame (field, current, wanted) {
+    return stableStringify(normalizeField(field, current))
+        === stableStringify(normalizeField(field, wanted));
+}
+
+function translateActions (actions, translator, locale, options) {
+    return actions.map((action) => {
+        const title = translator(action.title, { locale });
+        const translated = Object.assign({}, action, {
+            title: limit(title, LIMITS.menuTitle, 'Menu item title', options)
+        });
+        if (action.call_to_actions) {
+            translated.call_to_actions = translateActions(
+                action.call_to_actions, translator, locale, options
+            );
+        }
+        return translated;
+    });
+}
 
 /**
  * Utility, which helps us to set up chatbot behavior
@@ -17,51 +62,199 @@ class Settings {
      * Creates an instance of Settings.
      *
      * @param {string} token
-     * @param {{error:function}} [log]
+     * @param {{error:function,log?:function,info?:function}} [log] the dry run is
+     *     printed using the `log` or `info` method
      *
      * @memberOf Settings
      */
     constructor (token, log = console) {
         this.token = token;
         this.log = log;
+        this._batch = null;
+    }
+
+    _request (method, data = null, qs = {}) {
+        const options = {
+            uri: PROFILE_URL,
+            qs: Object.assign({ access_token: this.token }, qs),
+            method,
+            json: data || true
+        };
+        return request(options);
     }
 
     _post (data) {
-        request({
-            uri: 'https://graph.facebook.com/v2.8/me/messenger_profile',
-            qs: { access_token: this.token },
-            method: 'POST',
-            json: data
-        }).catch(e => this.log.error('Bot settings failed', e));
+        this._request('POST', data)
+            .catch(e => this.log.error('Bot settings failed', e));
+    }
+
+    /**
+     * Localized entries (greetings and menus) set in the same tick
+     * are submitted together, otherwise they would overwrite each other
+     */
+    _postLocalized (field, entries) {
+        if (!this._batch) {
+            this._batch = {};
+            Promise.resolve()
+                .then(() => {
+                    const data = this._batch;
+                    this._batch = null;
+                    this._post(data);
+                });
+        }
+
+        const replaced = (this._batch[field] || [])
+            .filter(entry => !entries.some(e => e.locale === entry.locale));
+
+        this._batch[field] = replaced.concat(entries);
     }
 
     _delete (data) {
-        request({
-            uri: 'https://graph.facebook.com/v2.8/me/messenger_profile',
-            qs: { access_token: this.token },
-            method: 'DELETE',
-            json: data
-        }).catch(e => this.log.error('Bot settings failed', e));
+        this._request('DELETE', data)
+            .catch(e => this.log.error('Bot settings failed', e));
+    }
+
+    /**
+     * Synchronizes the Messenger profile of the page with the configuration.
+     * Only fields listed in the configuration are managed: fields with different
+     * value are updated and fields with `null` value are removed.
+     *
+     * @param {object} profile Messenger profile fields (`greeting`, `get_started`,
+     *     `persistent_menu`, `whitelisted_domains`, ...)
+     * @param {{dryRun?:boolean}} [options] `dryRun` prints the diff without applying it
+     * @returns {Promise<{
+     *     changes:{field:string,action:string,from:*,to:*}[],
+     *     unchanged:string[],
+     *     applied:boolean
+     * }>}
+     *
+     * @example
+     * const settings = new Settings(config.facebook.pageToken);
+     *
+     * settings.sync({
+     *     greeting: [{ locale: 'default', text: 'Hello!' }],
+     *     get_started: { payload: '/start' },
+     *     whitelisted_domains: ['https://example.com'],
+     *     persistent_menu: null // will be removed
+     * }, { dryRun: process.argv.includes('--dry-run') })
+     *     .then(report => console.log(`${report.changes.length} changes`));
+     *
+     * @memberOf Settings
+     */
+    sync (profile, options = {}) {
+        const fields = Object.keys(profile);
+
+        if (fields.length === 0) {
+            return Promise.resolve({ changes: [], unchanged: [], applied: false });
+        }
+
+        return this._request('GET', null, { fields: fields.join(',') })
+            .then((res) => {
+                const current = (res && res.data && res.data[0]) || {};
+                const report = this._diff(fields, current, profile);
+
+                if (options.dryRun) {
+                    this._printDiff(report);
+                    return report;
+                }
+
+                return this._applyDiff(report)
+                    .then(() => Object.assign(report, { applied: report.changes.length !== 0 }));
+            });
+    }
+
+    _diff (fields, current, profile) {
+        const report = { changes: [], unchanged: [], applied: false };
+
+        fields.forEach((field) => {
+            const from = current[field] === undefined ? null : current[field];
+            const to = profile[field] === undefined ? null : profile[field];
+
+            if (to === null && from === null) {
+                report.unchanged.push(field);
+            } else if (to === null) {
+                report.changes.push({ field, action: 'delete', from, to });
+            } else if (from !== null && isSame(field, from, to)) {
+                report.unchanged.push(field);
+            } else {
+                report.changes.push({ field, action: 'set', from, to });
+            }
+        });
+
+        return report;
+    }
+
+    _printDiff (report) {
+        const method = ['log', 'info'].find(name => typeof this.log[name] === 'function');
+
+        if (!method) {
+            throw new Error('The logger requires `log` or `info` method to print the dry run');
+        }
+
+        const print = this.log[method].bind(this.log);
+
+        if (report.changes.length === 0) {
+            print('Messenger profile is up to date');
+            return;
+        }
+
+        report.changes.forEach(({ field, action, from, to }) => {
+            if (action === 'delete') {
+                print(`- ${field}: ${JSON.stringify(from)}`);
+            } else {
+                print(`~ ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+            }
+        });
+    }
+
+    _applyDiff (report) {
+        const set = report.changes.filter(change => change.action === 'set');
+        const remove = report.changes.filter(change => change.action === 'delete');
+        const requests = [];
+
+        if (set.length !== 0) {
+            const data = {};
+            set.forEach(({ field, to }) => Object.assign(data, { [field]: to }));
+            requests.push(this._request('POST', data));
+        }
+
+        if (remove.length !== 0) {
+            requests.push(this._request('DELETE', { fields: remove.map(change => change.field) }));
+        }
+
+        return Promise.all(requests);
     }
 
     /**
      * Sets or clears bot's greeting
      *
-     * @param {string} [text=false] leave empty to clear
+     * Greetings of multiple locales can be set at once using the object
+     * or by translating the text to the list of locales.
+     *
+     * @param {string|Object.<string, string>} [text=false] leave empty to clear
+     * @param {string|string[]} [locale='default'] locale or list of locales
+     * @param {function} [translator] `(text, { locale }) => string`
+     *     (the same, as the Processor's one)
      * @returns {this}
      *
+     * @example
+     * settings.greeting({ default: 'Hello', cs_CZ: 'Ahoj' });
+     *
+     * // or
+     * settings.greeting('Hello', ['default', 'cs_CZ'], translator);
+     *
      * @memberOf Settings
      */
-    greeting (text = false) {
-        if (text) {
-            this._post({
-                greeting: [
-                    {
-                        locale: 'default',
-                        text
-                    }
-                ]
-            });
+    greeting (text = false, locale = 'default', translator = w => w) {
+        if (text && typeof text === 'object') {
+            this._postLocalized('greeting', Object.keys(text)
+                .map(textLocale => ({ locale: textLocale, text: text[textLocale] })));
+        } else if (text) {
+            const locales = Array.isArray(locale) ? locale : [locale];
+            this._postLocalized('greeting', locales.map(textLocale => ({
+                locale: textLocale,
+                text: translator(text, { locale: textLocale })
+            })));
         } else {
             this._delete({
                 fields: ['greeting']
@@ -121,8 +314,14 @@ class Settings {
     /**
      * Sets up the persistent menu
      *
-     * @param {string} [locale]
+     * Menus of different locales, which are composed in the same tick,
+     * are submitted together.
+     *
+     * @param {string|string[]} [locale] locale or list of locales
      * @param {boolean} [inputDisabled]
+     * @param {function} [translator] `(title, { locale }) => string` translates
+     *     titles of the menu items for each locale (the length of titles
+     *     is checked after the translation)
      * @returns {MenuComposer}
      * @example
      *
@@ -136,20 +335,29 @@ class Settings {
      *         .done()
      *     .addPostBack('Do something', '/the/action')
      *     .done();
+     *
+     * // localized menus
+     * settings.menu('cs_CZ', true)
+     *     .addPostBack('Začít', '/start')
+     *     .done()
+     *     .menu(['default', 'de_DE'], false, translator)
+     *     .addPostBack('Start', '/start')
+     *     .done();
      */
-    menu (locale = 'default', inputDisabled = false) {
+    menu (locale = 'default', inputDisabled = false, translator = null) {
+        const locales = Array.isArray(locale) ? locale : [locale];
+        const options = { log: this.log, translated: !!translator };
+
         return new MenuComposer((actions) => {
-            this._post({
-                persistent_menu: [
-                    {
-                        locale,
-                        composer_input_disabled: inputDisabled,
-                        call_to_actions: actions
-                    }
-                ]
-            });
+            this._postLocalized('persistent_menu', locales.map(menuLocale => ({
+                locale: menuLocale,
+                composer_input_disabled: inputDisabled,
+                call_to_actions: translator
+                    ? translateActions(actions, translator, menuLocale, options)
+                    : actions
+            })));
             return this;
-        });
+        }, options);
     }
 }
 
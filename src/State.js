@@ -11,24 +11,53 @@ const schema = new Schema({
     state: Object,
     lock: Number,
     senderId: String,
+    pageId: String,
     lastInteraction: Date,
     lastSendError: Date,
     lastErrorMessage: String,
-    off: Boolean
+    off: Boolean,
+    offUntil: Date
 });
 
-schema.index({ senderId: 1 }, { unique: true });
+schema.index({ senderId: 1, pageId: 1 }, { unique: true });
+
+// missing index or collection
+const NOT_FOUND_CODES = [26, 27];
+
+/**
+ * Drops the unique `senderId_1` index of older versions, which prevents
+ * a single user from having a state on multiple pages
+ *
+ * @returns {Promise.<boolean>} true, when the index was dropped
+ */
+schema.statics.dropSenderIdIndex = function () {
+    return this.collection.dropIndex('senderId_1')
+        .then(() => true)
+        .catch((e) => {
+            if (NOT_FOUND_CODES.indexOf(e.code) !== -1) {
+                return false;
+            }
+            throw e;
+        });
+};
+
+// pageId is used only, when the Processor serves multiple pages
+function stateQuery (senderId, pageId) {
+    return pageId ? { senderId, pageId } : { senderId };
+}
+
+schema.statics.getOrCreateAndLock = function (senderId, defaultState = {}, timeout = 300,
+        pageId = null) {
 
-schema.statics.getOrCreateAndLock = function (senderId, defaultState = {}, timeout = 300) {
     const now = Date.now();
-    return this.findOneAndUpdate({
-        senderId,
+    return this.findOneAndUpdate(Object.assign(stateQuery(senderId, pageId), {
         lock: { $lt: now - timeout }
-    }, {
+    }), {
         $setOnInsert: {
             state: defaultState,
             lastSendError: null,
-            off: false
+            off: false,
+            offUntil: null
         },
         $set: {
             lock: now
@@ -39,6 +68,14 @@ schema.statics.getOrCreateAndLock = function (senderId, defaultState = {}, timeo
     }).exec();
 };
 
+schema.statics.getState = function (senderId, defaultState = {}, pageId = null) {
+    return this.findOne(stateQuery(senderId, pageId))
+        .exec()
+        .then(state => state || Object.assign(stateQuery(senderId, pageId), {
+            state: defaultState
+        }));
+};
+
 schema.statics.onAfterStateLoad = function (req, state) {
     return Promise.resolve(state);
 };
@@ -46,8 +46,6 @@ class Tester {
         // replace sender
         const senderFnFactory = (received, pageId, handler = (res, d) => d) => (data) => {
             // on send
-            // @todo validate length of quick_responses to 20!!
-            // @todo validate length of texts to 255!!
             this._responsesCollector.push(data);
             handler({ recipient_id: this.senderId }, data);
         };
@@ -74,7 +72,8 @@ class Tester {
             appSecret: 'bar',
             senderFnFactory,
             log,
-            loadUsers: false
+            loadUsers: false,
+            validation: 'throw'
         }, processorOptions), this.storage);
 
         this.responses = [];
@@ -182,6 +181,20 @@ class Tester {
         return this._request(Request.text(this.senderId, text));
     }
 
+    /**
+     * Sends the location of the user
+     *
+     * @param {number} lat
+     * @param {number} long
+     * @param {string} [title=null]
+     * @returns {Promise}
+     *
+     * @memberOf Tester
+     */
+    location (lat, long, title = null) {
+        return this._request(Request.location(this.senderId, lat, long, title));
+    }
+
     /**
      * Make optin call
      *
@@ -7,6 +7,13 @@ const request = require('request-promise');
 
 class UserLoader {
 
+    /**
+     * Creates an instance of UserLoader.
+     *
+     * @param {string|function} token page token or function, which returns token of the pageId
+     *
+     * @memberOf UserLoader
+     */
     constructor (token) {
         this.token = token;
         this.apiVersion = 'v2.8';
@@ -16,15 +23,20 @@ class UserLoader {
      *
      *
      * @param {string} id
+     * @param {string} [pageId]
      * @returns Promise<{ firstName: string }>
      *
      * @memberOf UserLoader
      */
-    loadUser (id) {
-        if (!this.token || !id) {
+    loadUser (id, pageId = null) {
+        const token = typeof this.token === 'function'
+            ? this.token(pageId)
+            : this.token;
+
+        if (!token || !id) {
             return Promise.resolve(null);
         }
-        return this._loadUser(id, this.token);
+        return this._loadUser(id, token);
     }
 
     _loadUser (id, token) {
@@ -0,0 +1,157 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const Processor = require('./Processor');
+const Request = require('./Request');
+const MemoryStateStorage = require('./MemoryStateStorage');
+const ReducerWrapper = require('./ReducerWrapper');
+
+const PAGE_ID = 'web-chat';
+
+/**
+ * Runs the bot for local web chat preview. Responses are kept in memory
+ * and delivered to the browser using long polling.
+ *
+ * @class WebChat
+ */
+class WebChat {
+
+    /**
+     * Creates an instance of WebChat.
+     *
+     * @param {Router|ReducerWrapper|function} reducer
+     * @param {object} [processorOptions={}] options for Processor
+     * @param {object} [stateStorage] defaults to MemoryStateStorage
+     * @param {{pollTimeout?:number}} [options]
+     *
+     * @memberOf WebChat
+     */
+    constructor (reducer,
+            processorOptions = {},
+            stateStorage = new MemoryStateStorage(),
+            options = {}
+        ) {
+
+        this.options = {
+            pollTimeout: 25000
+        };
+        Object.assign(this.options, options);
+
+        this._outboxes = new Map();
+
+        const senderFnFactory = (received, pageId, handler = (res, d) => d) => (data) => {
+            const recipientId = data.recipient && data.recipient.id;
+            this._deliver(recipientId, data);
+            handler({ recipient_id: recipientId }, data);
+        };
+
+        const wrappedReducer = typeof reducer === 'function'
+            ? new ReducerWrapper(reducer)
+            : reducer;
+
+        this.processor = new Processor(wrappedReducer, Object.assign({
+            pageToken: PAGE_ID,
+            appSecret: PAGE_ID,
+            loadUsers: false
+        }, processorOptions, { senderFnFactory }), stateStorage);
+    }
+
+    _outbox (senderId) {
+        let outbox = this._outboxes.get(senderId);
+
+        if (!outbox) {
+            outbox = { messages: [], counter: 0, listeners: [] };
+            this._outboxes.set(senderId, outbox);
+        }
+
+        return outbox;
+    }
+
+    _deliver (senderId, data) {
+        if (data.sender_action) {
+            return;
+        }
+        const outbox = this._outbox(senderId);
+        outbox.counter++;
+        outbox.messages.push({ id: outbox.counter, data });
+
+        const listeners = outbox.listeners;
+        outbox.listeners = [];
+        listeners.forEach(listener => listener());
+    }
+
+    _since (senderId, since) {
+        return this._outbox(senderId).messages
+            .filter(message => message.id > since);
+    }
+
+    /**
+     * Processes the input of the user from the browser
+     *
+     * @param {string} senderId
+     * @param {{
+     *     text?:string,
+     *     quickReply?:string,
+     *     postBack?:string,
+     *     location?:{lat:number,long:number}
+     * }} input `quickReply` and `postBack` contain the payload of the picked choice
+     * @returns {Promise}
+     *
+     * @memberOf WebChat
+     */
+    send (senderId, input) {
+        let message;
+
+        if (input.quickReply) {
+            message = Request.text(senderId, input.text || '');
+            Object.assign(message.message, { quick_reply: { payload: input.quickReply } });
+        } else if (input.postBack) {
+            message = { sender: { id: senderId }, postback: { payload: input.postBack } };
+        } else if (input.location) {
+            message = Request.location(senderId, input.location.lat, input.location.long);
+        } else if (typeof input.text === 'string' && input.text) {
+            message = Request.text(senderId, input.text);
+        } else {
+            return Promise.reject(new Error('Missing text, quickReply or postBack'));
+        }
+
+        return this.processor.processMessage(message, PAGE_ID);
+    }
+
+    /**
+     * Returns responses with the greater id, than `since`. When there's no
+     * such response, waits for it until the poll timeout elapses.
+     *
+     * @param {string} senderId
+     * @param {number} [since=0] id of the last received response
+     * @returns {Promise<{id:number,data:object}[]>}
+     *
+     * @memberOf WebChat
+     */
+    poll (senderId, since = 0) {
+        const messages = this._since(senderId, since);
+
+        if (messages.length !== 0) {
+            return Promise.resolve(messages);
+        }
+
+        return new Promise((resolve) => {
+            const outbox = this._outbox(senderId);
+            let timer = null;
+            const listener = () => {
+                clearTimeout(timer);
+                resolve(this._since(senderId, since));
+            };
+            timer = setTimeout(() => {
+                outbox.listeners = outbox.listeners.filter(l => l !== listener);
+                resolve([]);
+            }, this.options.pollTimeout);
+            outbox.listeners.push(listener);
+        });
+    }
+
+}
+
+module.exports = WebChat;
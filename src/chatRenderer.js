@@ -0,0 +1,184 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const { parseActionPayload } = require('./pathUtils');
+
+const CARD_WIDTH = 40;
+
+// quick replies, which ask for the user input
+const USER_INPUT_HINTS = {
+    location: 'send location: /location <lat> <long>',
+    user_email: 'type your e-mail',
+    user_phone_number: 'type your phone number'
+};
+
+function wrapText (text, width) {
+    const lines = [];
+
+    `${text}`.split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+            if (line && (line.length + word.length + 1) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+function drawCard (rows) {
+    const border = `+${'-'.repeat(CARD_WIDTH + 2)}+`;
+    const lines = [border];
+
+    rows.forEach((row) => {
+        if (row === null) {
+            lines.push(border);
+            return;
+        }
+        wrapText(row, CARD_WIDTH).forEach((line) => {
+            lines.push(`| ${line}${' '.repeat(Math.max(CARD_WIDTH - line.length, 0))} |`);
+        });
+    });
+
+    lines.push(border);
+    return lines;
+}
+
+function buttonRows (buttons, choices) {
+    return (buttons || []).map((button) => {
+        if (button.type === 'postback') {
+            const { action, data } = parseActionPayload(button);
+            choices.push({ title: button.title, type: 'postBack', action, data });
+            return `[${choices.length}] ${button.title}`;
+        }
+        if (button.url) {
+            return `[${button.title || button.type}] ${button.url}`;
+        }
+        if (button.type === 'phone_number') {
+            return `[${button.title}] ${button.payload}`;
+        }
+        return `[${button.title || button.type}]`;
+    });
+}
+
+function elementRows (elements, choices) {
+    return elements.reduce((rows, element, i) => rows.concat(
+        i === 0 ? [] : [null],
+        [element.title],
+        element.subtitle ? [element.subtitle] : [],
+        element.image_url ? [`<image ${element.image_url}>`] : [],
+        element.item_url ? [element.item_url] : [],
+        buttonRows(element.buttons, choices)
+    ), []);
+}
+
+function templateRows (payload, choices) {
+    switch (payload.template_type) {
+        case 'button':
+            return [payload.text, null].concat(buttonRows(payload.buttons, choices));
+        case 'generic':
+            return elementRows(payload.elements, choices);
+        case 'list':
+            return elementRows(payload.elements, choices).concat(
+                payload.buttons ? [null] : [],
+                buttonRows(payload.buttons, choices)
+            );
+        case 'media':
+            return payload.elements.reduce((rows, element) => rows.concat(
+                [`<${element.media_type} ${element.url || element.attachment_id}>`],
+                buttonRows(element.buttons, choices)
+            ), []);
+        case 'receipt': {
+            const { currency, summary = {} } = payload;
+            return [
+                `Receipt #${payload.order_number} for ${payload.recipient_name}`,
+                null
+            ].concat(
+                (payload.elements || []).map(item => `${item.quantity || 1}x ${item.title} ${item.price} ${currency}`),
+                [null, `Total: ${summary.total_cost} ${currency}`]
+            );
+        }
+        default:
+            return [`<${payload.template_type} template>`];
+    }
+}
+
+/**
+ * Renders the outgoing payload for the terminal
+ *
+ * Quick replies and postback buttons are numbered - the numbers continue from
+ * the length of the `choices` array, which is filled with picked choices
+ * `{ title, type: 'quickReply'|'postBack', action, data }`
+ *
+ * @param {object} data payload from the Responder
+ * @param {object[]} [choices=[]] accumulator of choices
+ * @returns {string[]} lines
+ */
+function renderResponse (data, choices = []) {
+    if (data.sender_action) {
+        return data.sender_action === 'typing_on' ? ['...'] : [];
+    }
+
+    const message = data.message;
+
+    if (!message) {
+        return [];
+    }
+
+    let lines = [];
+
+    if (typeof message.text === 'string') {
+        lines = wrapText(message.text, CARD_WIDTH * 2);
+    } else if (message.attachment && message.attachment.type === 'template') {
+        lines = drawCard(templateRows(message.attachment.payload, choices));
+    } else if (message.attachment) {
+        const { type, payload = {} } = message.attachment;
+        lines = [`<${type}${payload.url ? ` ${payload.url}` : ''}>`];
+    }
+
+    const replies = (message.quick_replies || []).map((reply) => {
+        if (USER_INPUT_HINTS[reply.content_type]) {
+            return `  (${USER_INPUT_HINTS[reply.content_type]})`;
+        }
+        const { action, data: replyData } = parseActionPayload(reply);
+        choices.push({ title: reply.title, type: 'quickReply', action, data: replyData });
+        return `  (${choices.length}) ${reply.title}`;
+    });
+
+    return lines.concat(replies);
+}
+
+/**
+ * Describes differences between two states
+ *
+ * @param {object} before
+ * @param {object} after
+ * @returns {string[]} lines in format `+ key: value`, `- key: value` or `~ key: old -> new`
+ */
+function stateDiff (before = {}, after = {}) {
+    const keys = Object.keys(Object.assign({}, before, after));
+    const json = value => JSON.stringify(value);
+
+    return keys.reduce((lines, key) => {
+        if (!Object.prototype.hasOwnProperty.call(before, key)) {
+            lines.push(`+ ${key}: ${json(after[key])}`);
+        } else if (!Object.prototype.hasOwnProperty.call(after, key)) {
+            lines.push(`- ${key}: ${json(before[key])}`);
+        } else if (json(before[key]) !== json(after[key])) {
+            lines.push(`~ ${key}: ${json(before[key])} -> ${json(after[key])}`);
+        }
+        return lines;
+    }, []);
+}
+
+module.exports = {
+    renderResponse,
+    stateDiff
+};
@@ -3,8 +3,12 @@
  */
 'use strict';
 
+const url = require('url');
 const Hook = require('./Hook');
 
+const ACCOUNT_LINKING_HOSTS = ['facebook.com', 'messenger.com'];
+const ACCOUNT_LINKING_PATH = '/messenger_platform/account_linking';
+
 function postMiddlewares (bodyParser, processor, log = console) {
     const hook = new Hook(processor);
 
@@ -32,7 +36,75 @@ function getVerifierMiddleware (botToken) {
     };
 }
 
+function withQuery (uri, query) {
+    return `${uri}${uri.indexOf('?') === -1 ? '?' : '&'}${query}`;
+}
+
+// the user can be redirected only back to the Messenger
+function isAccountLinkingUri (uri) {
+    const { protocol, hostname, pathname } = url.parse(uri);
+
+    return protocol === 'https:'
+        && ACCOUNT_LINKING_HOSTS
+            .some(host => hostname === host || `${hostname}`.endsWith(`.${host}`))
+        && `${pathname}`.indexOf(ACCOUNT_LINKING_PATH) === 0;
+}
+
+/**
+ * Creates middleware, which completes the account linking. The login page
+ * (opened by `accountLinkButton(url, true)`) reads the `token` and `senderId`
+ * from the url hash and passes them here in the query (with the `redirect_uri`),
+ * when the user is logged in. The token of the user is verified and the user is
+ * redirected back to Messenger with the authorization code. Only the Messenger
+ * account linking urls are accepted as the `redirect_uri`.
+ *
+ * @param {Processor} processor
+ * @param {function} authorize `(req, senderId) => Promise.<string|null>` returns
+ *     authorization code of the logged in user, `null` cancels the linking
+ * @param {{error:function}} [log]
+ * @returns {function}
+ *
+ * @example
+ * const { accountLinkingRedirect } = require('prg-chatbot/express');
+ *
+ * app.get('/login/done', accountLinkingRedirect(processor, req => (
+ *     Promise.resolve(req.session.userId || null)
+ * )));
+ */
+function accountLinkingRedirect (processor, authorize, log = console) {
+    return (req, res) => {
+        const { redirect_uri: redirectUri, token, senderId } = req.query;
+
+        if (!redirectUri) {
+            res.status(400).send('Missing redirect_uri');
+            return Promise.resolve();
+        }
+
+        if (!isAccountLinkingUri(redirectUri)) {
+            res.status(400).send('Invalid redirect_uri');
+            return Promise.resolve();
+        }
+
+        return processor.secure.verifyToken(token, senderId)
+            .then(() => authorize(req, senderId))
+            .then((authorizationCode) => {
+                if (!authorizationCode) {
+                    res.redirect(redirectUri);
+                    return;
+                }
+                const code = `authorization_code=${encodeURIComponent(authorizationCode)}`;
+                res.redirect(withQuery(redirectUri, code));
+            })
+            .catch((e) => {
+                log.error(e);
+                // linking without the authorization code is cancelled by Messenger
+                res.redirect(redirectUri);
+            });
+    };
+}
+
 module.exports = {
     postMiddlewares,
-    getVerifierMiddleware
+    getVerifierMiddleware,
+    accountLinkingRedirect
 };
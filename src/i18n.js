@@ -0,0 +1,93 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const PLURAL_RULES = {
+    // one, other
+    en: n => (n === 1 ? 0 : 1),
+    // one, few, other
+    cs: (n) => {
+        if (n === 1) {
+            return 0;
+        }
+        return n >= 2 && n <= 4 ? 1 : 2;
+    },
+    // one, few, many
+    pl: (n) => {
+        if (n === 1) {
+            return 0;
+        }
+        const mod10 = n % 10;
+        const mod100 = n % 100;
+        return mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14) ? 1 : 2;
+    },
+    // one, few, many
+    ru: (n) => {
+        const mod10 = n % 10;
+        const mod100 = n % 100;
+        if (mod10 === 1 && mod100 !== 11) {
+            return 0;
+        }
+        return mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14) ? 1 : 2;
+    },
+    // one (including zero), other
+    fr: n => (n <= 1 ? 0 : 1),
+    // single form
+    ja: () => 0
+};
+
+Object.assign(PLURAL_RULES, {
+    sk: PLURAL_RULES.cs,
+    uk: PLURAL_RULES.ru,
+    zh: PLURAL_RULES.ja
+});
+
+/**
+ * Returns index of the plural form for the count in the language of the locale
+ *
+ * @param {number} count
+ * @param {string} [locale] locale like `cs_CZ` or `en`
+ * @returns {number}
+ */
+function pluralIndex (count, locale = null) {
+    const language = `${locale || 'en'}`.split(/[_-]/)[0].toLowerCase();
+    const rule = PLURAL_RULES[language] || PLURAL_RULES.en;
+    return rule(Math.abs(count));
+}
+
+/**
+ * Selects the plural form and replaces the named placeholders
+ *
+ * Plural forms are separated with `|` and selected by the `count` parameter.
+ *
+ * @param {string} text
+ * @param {object} [params={}]
+ * @param {string} [locale]
+ * @returns {string}
+ *
+ * @example
+ * format('One apple|{count} apples', { count: 3 }); // '3 apples'
+ * format('Hello {name}', { name: 'John' }); // 'Hello John'
+ * format('{count} jablko|{count} jablka|{count} jablek', { count: 3 }, 'cs_CZ'); // '3 jablka'
+ */
+function format (text, params = {}, locale = null) {
+    let result = `${text}`;
+
+    if (typeof params.count === 'number' && result.indexOf('|') !== -1) {
+        const forms = result.split('|');
+        const index = Math.min(pluralIndex(params.count, locale), forms.length - 1);
+        result = forms[index];
+    }
+
+    return result.replace(/\{([a-zA-Z0-9_]+)\}/g, (placeholder, name) => (
+        Object.prototype.hasOwnProperty.call(params, name)
+            ? `${params[name]}`
+            : placeholder
+    ));
+}
+
+module.exports = {
+    pluralIndex,
+    format
+};
@@ -0,0 +1,235 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const { replaceDiacritics } = require('./tokenizer');
+
+const MONTHS = [
+    ['january', 'jan', 'leden', 'ledna', 'lednu'],
+    ['february', 'feb', 'unor', 'unora', 'unoru'],
+    ['march', 'mar', 'brezen', 'brezna', 'breznu'],
+    ['april', 'apr', 'duben', 'dubna', 'dubnu'],
+    ['may', 'kveten', 'kvetna', 'kvetnu'],
+    ['june', 'jun', 'cerven', 'cervna', 'cervnu'],
+    ['july', 'jul', 'cervenec', 'cervence', 'cervenci'],
+    ['august', 'aug', 'srpen', 'srpna', 'srpnu'],
+    ['september', 'sep', 'sept', 'zari'],
+    ['october', 'oct', 'rijen', 'rijna', 'rijnu'],
+    ['november', 'nov', 'listopad', 'listopadu'],
+    ['december', 'dec', 'prosinec', 'prosince', 'prosinci']
+];
+
+const WEEKDAYS = [
+    ['sunday', 'sun', 'nedele', 'nedeli'],
+    ['monday', 'mon', 'pondeli'],
+    ['tuesday', 'tue', 'utery'],
+    ['wednesday', 'wed', 'streda', 'stredu'],
+    ['thursday', 'thu', 'ctvrtek'],
+    ['friday', 'fri', 'patek'],
+    ['saturday', 'sat', 'sobota', 'sobotu']
+];
+
+const RELATIVE_DAYS = [
+    { match: /\b(day after tomorrow|pozitri)\b/, days: 2 },
+    { match: /\b(today|dnes|dneska)\b/, days: 0 },
+    { match: /\b(tomorrow|zitra)\b/, days: 1 },
+    { match: /\b(yesterday|vcera)\b/, days: -1 }
+];
+
+const MONTH_NAMES = MONTHS.reduce((all, names) => all.concat(names), []).join('|');
+const WEEKDAY_NAMES = WEEKDAYS.reduce((all, names) => all.concat(names), []).join('|');
+
+function normalize (text) {
+    return replaceDiacritics(`${text}`).toLowerCase();
+}
+
+function findIndex (list, word) {
+    return list.findIndex(names => names.indexOf(word) !== -1);
+}
+
+function makeDate (year, month, day) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const result = new Date(fullYear, month, day);
+
+    if (result.getFullYear() !== fullYear
+        || result.getMonth() !== month
+        || result.getDate() !== day) {
+
+        return null;
+    }
+
+    return result;
+}
+
+function addDays (now, days) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+}
+
+function parseRelativeDate (text, now) {
+    const relative = RELATIVE_DAYS.find(rel => rel.match.test(text));
+
+    if (relative) {
+        return addDays(now, relative.days);
+    }
+
+    let match = text.match(/\b(?:in|za) (\d+) (days?|dn[yi]|den|weeks?|tydn[yu]|tyden)\b/);
+    let sign = 1;
+
+    if (!match) {
+        match = text.match(/\b(\d+) (days?|weeks?) ago\b/)
+            || text.match(/\bpred (\d+) (dn[yi]|dnem|tydn[yu]|tydnem)\b/);
+        sign = -1;
+    }
+
+    if (match) {
+        const isWeek = /^(week|tyd)/.test(match[2]);
+        return addDays(now, sign * parseInt(match[1], 10) * (isWeek ? 7 : 1));
+    }
+
+    match = text.match(new RegExp(`\\b(${WEEKDAY_NAMES})\\b`));
+
+    if (match) {
+        const weekday = findIndex(WEEKDAYS, match[1]);
+        const diff = (((weekday - now.getDay()) + 7) % 7) || 7;
+        return addDays(now, diff);
+    }
+
+    return null;
+}
+
+function parseAbsoluteDate (text, now) {
+    const year = y => (y ? parseInt(y, 10) : now.getFullYear());
+    let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+
+    if (match) {
+        return makeDate(year(match[1]), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    }
+
+    match = text.match(/\b(\d{1,2})\.\s*(\d{1,2})\.(?:\s*(\d{4}|\d{2})\b)?/);
+
+    if (match) {
+        return makeDate(year(match[3]), parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+    }
+
+    match = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/);
+
+    if (match) {
+        return makeDate(year(match[3]), parseInt(match[1], 10) - 1, parseInt(match[2], 10));
+    }
+
+    const day = '(\\d{1,2})(?:st|nd|rd|th)?';
+    const optionalYear = ',?(?: (\\d{4}))?';
+
+    match = text.match(new RegExp(`\\b${day}\\.?(?: of)? (${MONTH_NAMES})\\b${optionalYear}`));
+
+    if (match) {
+        return makeDate(year(match[3]), findIndex(MONTHS, match[2]), parseInt(match[1], 10));
+    }
+
+    match = text.match(new RegExp(`\\b(${MONTH_NAMES})\\.? ${day}\\b${optionalYear}`));
+
+    if (match) {
+        return makeDate(year(match[3]), findIndex(MONTHS, match[1]), parseInt(match[2], 10));
+    }
+
+    return null;
+}
+
+/**
+ * Finds an e-mail address in the text
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function email (text) {
+    const match = `${text}`.match(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i);
+    return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Finds a number in the text. Understands `1 234,5`, `1,234.5` or `-12.5`.
+ *
+ * @param {string} text
+ * @returns {number|null}
+ */
+function number (text) {
+    const match = `${text}`.match(/[-+]?(?:\d{1,3}(?:[ \u00a0]\d{3})+|\d+)(?:[.,]\d+)*/);
+
+    if (!match) {
+        return null;
+    }
+
+    let value = match[0].replace(/[ \u00a0]/g, '');
+    const separators = value.match(/[.,]/g) || [];
+    const last = separators[separators.length - 1];
+
+    if (separators.length === 0) {
+        return parseFloat(value);
+    }
+
+    const isDecimal = separators.some(sep => sep !== last)
+        || (separators.length === 1 && !(last === ',' && /,\d{3}$/.test(value)));
+
+    if (isDecimal) {
+        const index = value.lastIndexOf(last);
+        value = `${value.substr(0, index).replace(/[.,]/g, '')}.${value.substr(index + 1)}`;
+    } else {
+        value = value.replace(/[.,]/g, '');
+    }
+
+    return parseFloat(value);
+}
+
+/**
+ * Finds a phone number in the text
+ *
+ * @param {string} text
+ * @returns {string|null} digits of the number, prefixed with `+` for international numbers
+ */
+function phone (text) {
+    const match = `${text}`.match(/(?:\+|\b00)?\(?\d[\d\s\-().]{7,}\d/);
+
+    if (!match) {
+        return null;
+    }
+
+    const digits = match[0].replace(/\D/g, '');
+    const isInternational = /^(\+|00)/.test(match[0]);
+    const phoneNumber = isInternational ? digits.replace(/^00/, '') : digits;
+
+    if (phoneNumber.length < 9 || phoneNumber.length > 15) {
+        return null;
+    }
+
+    return isInternational ? `+${phoneNumber}` : phoneNumber;
+}
+
+/**
+ * Finds a date in the text. Understands Czech and English formats
+ * like `2017-03-21`, `21. 3. 2017`, `3/21/2017`, `21st March`, `21. března`
+ * and relative expressions like `tomorrow`, `za 3 dny` or `next friday`.
+ *
+ * @param {string} text
+ * @param {{relative?:boolean,now?:Date}} [options]
+ * @returns {Date|null} date with time at the midnight
+ */
+function date (text, options = {}) {
+    const { relative = true, now = new Date() } = options;
+    const normalized = normalize(text);
+
+    const absolute = parseAbsoluteDate(normalized, now);
+
+    if (absolute || !relative) {
+        return absolute;
+    }
+
+    return parseRelativeDate(normalized, now);
+}
+
+module.exports = {
+    email,
+    number,
+    phone,
+    date
+};
@@ -25,17 +25,24 @@ function makeExpectedKeyword (action, title, matcher = null, payloadData = {}) {
     };
 }
 
+const USER_INPUT_TYPES = {
+    location: 'location',
+    email: 'user_email',
+    phone: 'user_phone_number'
+};
+
 /**
  *
  *
  * @param {string[]|object[]} replies
  * @param {string} [path]
  * @param {function} [translate=w => w]
- * @returns { quickReplies: object[], expectedKeywords: object[] }
+ * @returns {{quickReplies:object[],expectedKeywords:object[],expectedInputs:object[]}}
  */
 function makeQuickReplies (replies, path = '', translate = w => w) {
 
     const expectedKeywords = [];
+    const expectedInputs = [];
     const quickReplies = Object.keys(replies)
         .map((relativeAction) => {
             const value = replies[relativeAction];
@@ -45,6 +52,15 @@ function makeQuickReplies (replies, path = '', translate = w => w) {
             let payload = action;
             let match;
 
+            if (typeof value === 'object' && USER_INPUT_TYPES[value.type]) {
+                const data = Object.assign({}, value);
+                delete data.type;
+
+                expectedInputs.push({ type: value.type, action, data });
+
+                return { content_type: USER_INPUT_TYPES[value.type] };
+            }
+
             if (typeof value === 'object') {
                 title = value.title;
                 match = value.match;
@@ -71,7 +87,31 @@ function makeQuickReplies (replies, path = '', translate = w => w) {
             };
         });
 
-    return { quickReplies, expectedKeywords };
+    return { quickReplies, expectedKeywords, expectedInputs };
+}
+
+/**
+ * Finds the expected input (location, e-mail or phone) matching the request
+ *
+ * @param {object[]} expectedInputs
+ * @param {Request} req
+ * @returns {null|object}
+ */
+function expectedInputAction (expectedInputs, req) {
+    const found = expectedInputs.find((input) => {
+        switch (input.type) {
+            case 'location':
+                return req.isLocation();
+            case 'email':
+                return req.email() !== null;
+            case 'phone':
+                return req.phone() !== null;
+            default:
+                return false;
+        }
+    });
+
+    return found || null;
 }
 
 /**
@@ -97,5 +137,6 @@ function quickReplyAction (expectedKeywords, normalizedText) {
 
 module.exports = {
     makeQuickReplies,
-    quickReplyAction
+    quickReplyAction,
+    expectedInputAction
 };
@@ -3,25 +3,95 @@
  */
 'use strict';
 
-const request = require('request-promise');
+const transports = require('./transports');
 
 const RES_HANDLER = (res, nextData) => nextData;
 
+// rate limits and temporary failures of the Graph API
+const RETRYABLE_GRAPH_CODES = [1, 2, 4, 17, 32, 613, 1200];
+
+const RETRYABLE_NETWORK_CODES = [
+    'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'
+];
+
+const DEFAULT_RETRY = {
+    retries: 3,
+    minTimeout: 250,
+    maxTimeout: 5000,
+    factor: 2,
+    jitter: true
+};
+
 function wait (ms) {
     return new Promise(res => setTimeout(res, ms));
 }
 
-function sender (data, token) {
-    return request({
-        uri: 'https://graph.facebook.com/v2.8/me/messages',
-        qs: { access_token: token },
-        method: 'POST',
-        body: data,
-        json: true
-    });
+/**
+ * Default Graph API transport
+ *
+ * @type {Transport}
+ */
+const sender = transports.graphApi();
+
+function getGraphError (e) {
+    return (e && e.response && e.response.body && e.response.body.error) || null;
+}
+
+/**
+ * Detects temporary errors, which are worth to retry
+ *
+ * @param {Error} e
+ * @returns {boolean}
+ */
+function isRetryableError (e) {
+    if (!e) {
+        return false;
+    }
+
+    const graphError = getGraphError(e);
+
+    if (graphError) {
+        return graphError.is_transient === true
+            || RETRYABLE_GRAPH_CODES.indexOf(graphError.code) !== -1;
+    }
+
+    if (e.response && e.response.statusCode) {
+        return e.response.statusCode >= 500 || e.response.statusCode === 429;
+    }
+
+    const networkCode = e.code || (e.cause && e.cause.code);
+    return RETRYABLE_NETWORK_CODES.indexOf(networkCode) !== -1;
 }
 
-function sendData (senderFn, token, data, queue, sent = [], handler = RES_HANDLER, res = null) {
+function retryTimeout (attempt, retry) {
+    let timeout = retry.minTimeout;
+    for (let i = 0; i < attempt; i++) {
+        timeout *= retry.factor;
+    }
+    timeout = Math.min(timeout, retry.maxTimeout);
+
+    if (!retry.jitter) {
+        return timeout;
+    }
+
+    return Math.round((timeout / 2) + (Math.random() * (timeout / 2)));
+}
+
+function sendWithRetry (senderFn, token, data, retry, attempt = 0) {
+    return Promise.resolve()
+        .then(() => senderFn(data, token))
+        .catch((e) => {
+            if (attempt >= retry.retries || !isRetryableError(e)) {
+                throw e;
+            }
+            return wait(retryTimeout(attempt, retry))
+                .then(() => sendWithRetry(senderFn, token, data, retry, attempt + 1));
+        });
+}
+
+function sendData (senderFn, token, data, queue, sent = [], handler = RES_HANDLER, res = null,
+        retry = DEFAULT_RETRY) {
+
     const next = handler(res, data);
 
     if (!next) {
@@ -33,11 +103,11 @@ function sendData (senderFn, token, data, queue, sent = [], handler = RES_HANDLE
         promise = wait(next.wait);
     } else {
         sent.push(next);
-        promise = senderFn(next, token);
+        promise = sendWithRetry(senderFn, token, next, retry);
     }
     return promise
         .then(result =>
-            sendData(senderFn, token, queue.shift(), queue, sent, handler, result));
+            sendData(senderFn, token, queue.shift(), queue, sent, handler, result, retry));
 }
 
 function getDisconnectedError (e) {
@@ -52,9 +122,32 @@ function getDisconnectedError (e) {
     return err;
 }
 
-function senderFactory (token, logger = console, onSenderError = () => {}, senderFn = sender) {
+/**
+ * Creates factory of send functions. Messages are sent one by one,
+ * temporary errors (network failures, rate limits) are retried with exponential backoff.
+ *
+ * @param {string|function} token page token or function, which returns token of the pageId
+ * @param {{log:function,error:function}} [logger]
+ * @param {function} [onSenderError] `(err, message, pageId)`, return true to prevent
+ *     logging of the error
+ * @param {Transport} [senderFn] transport of the payloads
+ * @param {{
+ *     retries?:number,
+ *     minTimeout?:number,
+ *     maxTimeout?:number,
+ *     factor?:number,
+ *     jitter?:boolean
+ * }} [retryOptions] use `{ retries: 0 }` to disable retrying
+ * @returns {function}
+ */
+function senderFactory (token, logger = console, onSenderError = () => {}, senderFn = sender,
+        retryOptions = {}) {
+
+    const retry = Object.assign({}, DEFAULT_RETRY, retryOptions);
+
     const factoryFn = function factory (incommingMessage, pageId, handler = RES_HANDLER) {
         const queue = [];
+        const pageToken = typeof token === 'function' ? token(pageId) : token;
         let working = false;
 
         return function send (payload) {
@@ -64,16 +157,20 @@ function senderFactory (token, logger = console, onSenderError = () => {}, sende
             } else {
                 working = true;
                 const sent = [];
-                sendData(senderFn, token, payload, queue, sent, handler)
+                sendData(senderFn, pageToken, payload, queue, sent, handler, null, retry)
                     .then(() => {
                         working = false;
                         logger.log(sent, incommingMessage);
                     })
                     .catch((e) => {
+                        // the rest of messages can't be sent in the right order
+                        working = false;
+                        queue.splice(0, queue.length);
+
                         // detect disconnected users
                         const err = getDisconnectedError(e);
 
-                        if (onSenderError(err || e, incommingMessage) !== true) {
+                        if (onSenderError(err || e, incommingMessage, pageId) !== true) {
                             logger.error(e, sent, incommingMessage);
                         }
                     });
@@ -86,5 +183,7 @@ function senderFactory (token, logger = console, onSenderError = () => {}, sende
 
 module.exports = {
     senderFactory,
-    sender
+    sender,
+    isRetryableError,
+    getDisconnectedError
 };
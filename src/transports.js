@@ -0,0 +1,249 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+const request = require('request-promise');
+
+/**
+ * Transport is a function `(data, token) => Promise`, which delivers
+ * the outgoing payload (message, sender action or thread control request)
+ * and resolves with the response of the platform
+ *
+ * @typedef {function} Transport
+ */
+
+function getEndpoint (data) {
+    if (data.target_app_id) {
+        return { endpoint: 'pass_thread_control', body: data };
+    }
+    if (data.take_thread_control) {
+        const body = Object.assign({}, data);
+        delete body.take_thread_control;
+        return { endpoint: 'take_thread_control', body };
+    }
+    return { endpoint: 'messages', body: data };
+}
+
+function fakeResponse (data, counter) {
+    return {
+        recipient_id: data.recipient && data.recipient.id,
+        message_id: `mid.local.${counter}`
+    };
+}
+
+/**
+ * Creates the Graph API transport
+ *
+ * @param {{apiVersion?:string,baseUrl?:string}} [options]
+ * @returns {Transport}
+ *
+ * @example
+ * const { transports, Processor } = require('prg-chatbot');
+ *
+ * // send the messages to the local stub server
+ * const processor = new Processor(reducer, {
+ *     pageToken: 'token',
+ *     appSecret: 'secret',
+ *     transport: transports.graphApi({ baseUrl: 'http://localhost:3001' })
+ * });
+ */
+function graphApi (options = {}) {
+    const { apiVersion = 'v2.8', baseUrl = 'https://graph.facebook.com' } = options;
+    const url = baseUrl.replace(/\/$/, '');
+
+    return function graphApiTransport (data, token) {
+        const { endpoint, body } = getEndpoint(data);
+        return request({
+            uri: `${url}/${apiVersion}/me/${endpoint}`,
+            qs: { access_token: token },
+            method: 'POST',
+            body,
+            json: true
+        });
+    };
+}
+
+/**
+ * Creates the transport, which stores the payloads in memory
+ *
+ * @returns {Transport} with `sent` array and `clear()` method
+ *
+ * @example
+ * const transport = transports.memory();
+ *
+ * // ... process some messages
+ *
+ * transport.sent.forEach(({ data }) => console.log(data.message));
+ * transport.clear();
+ */
+function memory () {
+    let counter = 0;
+
+    const transport = function memoryTransport (data, token) {
+        counter++;
+        transport.sent.push({ data, token });
+        return Promise.resolve(fakeResponse(data, counter));
+    };
+
+    transport.sent = [];
+    transport.clear = () => {
+        transport.sent = [];
+    };
+
+    return transport;
+}
+
+function describe (data) {
+    const { endpoint, body } = getEndpoint(data);
+    const recipient = body.recipient && body.recipient.id;
+
+    if (endpoint !== 'messages') {
+        return `[${recipient}] ${endpoint} ${util.inspect(body, { depth: null })}`;
+    }
+    if (body.sender_action) {
+        return `[${recipient}] (${body.sender_action})`;
+    }
+    if (body.message && typeof body.message.text === 'string' && !body.message.quick_replies) {
+        return `[${recipient}] ${body.message.text}`;
+    }
+    return `[${recipient}] ${util.inspect(body.message, { depth: null })}`;
+}
+
+/**
+ * Creates the transport, which prints the payloads into the stream
+ *
+ * @param {{stream?:{write:function},jsonl?:boolean}} [options]
+ *     `jsonl` prints each payload as a single JSON line (default is readable output)
+ * @returns {Transport}
+ *
+ * @example
+ * const transport = transports.console();
+ */
+function consoleTransport (options = {}) {
+    const { stream = process.stdout, jsonl = false } = options;
+    let counter = 0;
+
+    return function printTransport (data) {
+        counter++;
+        const line = jsonl ? JSON.stringify(data) : describe(data);
+        stream.write(`${line}\n`);
+        return Promise.resolve(fakeResponse(data, counter));
+    };
+}
+
+/**
+ * Creates the transport, which appends the payloads into the JSONL file
+ *
+ * @param {string} filePath
+ * @returns {Transport}
+ *
+ * @example
+ * const transport = transports.file('./outgoing.jsonl');
+ */
+function file (filePath) {
+    let counter = 0;
+
+    return function fileTransport (data) {
+        counter++;
+        return new Promise((resolve, reject) => {
+            fs.appendFile(filePath, `${JSON.stringify(data)}\n`, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(fakeResponse(data, counter));
+                }
+            });
+        });
+    };
+}
+
+function reusableAttachmentUrl (data) {
+    const attachment = data.message && data.message.attachment;
+    const payload = attachment && attachment.payload;
+
+    if (!payload || !payload.is_reusable || !payload.url) {
+        return null;
+    }
+    return payload.url;
+}
+
+function withAttachmentId (data, attachmentId) {
+    const attachment = Object.assign({}, data.message.attachment, {
+        payload: { attachment_id: attachmentId }
+    });
+    const message = Object.assign({}, data.message, { attachment });
+    return Object.assign({}, data, { message });
+}
+
+// attachment ids belong to the page, the token itself is not stored in the cache
+function pageKeyOfToken (token) {
+    return crypto.createHash('sha256')
+        .update(`${token}`)
+        .digest('hex')
+        .substr(0, 16);
+}
+
+/**
+ * Wraps the transport, so the reusable attachments (`is_reusable`) are uploaded
+ * only once. Returned `attachment_id` is stored in the cache by the url
+ * and the page (`pageKey` is a hash of the page token) and it's sent instead
+ * of the url next time.
+ *
+ * Failure of the cache doesn't fail the already sent message, it's only logged.
+ *
+ * @param {Transport} transport
+ * @param {{findAttachmentByUrl:function,saveAttachmentId:function}} attachmentCache
+ *     `findAttachmentByUrl(url, pageKey)` and `saveAttachmentId(url, attachmentId, pageKey)`
+ * @param {{error:function}} [log]
+ * @returns {Transport}
+ *
+ * @example
+ * const transport = transports.withAttachmentCache(
+ *     transports.graphApi(),
+ *     new MemoryAttachmentCache()
+ * );
+ */
+function withAttachmentCache (transport, attachmentCache, log = console) {
+    return function cachedTransport (data, token) {
+        const url = reusableAttachmentUrl(data);
+
+        if (!url) {
+            return transport(data, token);
+        }
+
+        const pageKey = pageKeyOfToken(token);
+
+        return Promise.resolve(attachmentCache.findAttachmentByUrl(url, pageKey))
+            .then((cachedId) => {
+                if (cachedId) {
+                    return transport(withAttachmentId(data, cachedId), token);
+                }
+                return Promise.resolve(transport(data, token))
+                    .then((res) => {
+                        if (!res || !res.attachment_id) {
+                            return res;
+                        }
+                        const { attachment_id: attachmentId } = res;
+                        return Promise.resolve()
+                            .then(() => attachmentCache
+                                .saveAttachmentId(url, attachmentId, pageKey))
+                            // the message is already sent, so it must not be retried
+                            .catch(e => log.error(e))
+                            .then(() => res);
+                    });
+            });
+    };
+}
+
+module.exports = {
+    getEndpoint,
+    withAttachmentCache,
+    graphApi,
+    memory,
+    console: consoleTransport,
+    file
+};
@@ -0,0 +1,163 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+/**
+ * Limits of the Messenger platform
+ */
+const LIMITS = {
+    text: 640,
+    quickReplies: 11,
+    quickReplyTitle: 20,
+    buttons: 3,
+    buttonTitle: 20,
+    elements: 10,
+    listElements: 4,
+    listMinElements: 2,
+    listElementButtons: 1,
+    receiptElements: 100,
+    elementTitle: 80,
+    elementSubtitle: 80,
+    payload: 1000,
+    menuItems: 3,
+    nestedMenuItems: 5,
+    menuDepth: 3,
+    menuTitle: 30
+};
+
+/**
+ * Returns the default validation mode, errors are thrown
+ * everywhere except the production environment
+ *
+ * @returns {string} throw|truncate
+ */
+function defaultMode () {
+    return process.env.NODE_ENV === 'production' ? 'truncate' : 'throw';
+}
+
+/**
+ * Throws the error or logs the warning (in the `truncate` mode)
+ *
+ * @param {string} message
+ * @param {{validation?:string,log?:object}} [options]
+ */
+function report (message, options = {}) {
+    const { validation = null, log = null } = options;
+
+    if ((validation || defaultMode()) === 'throw') {
+        throw new Error(message);
+    }
+
+    (log || console).warn(message);
+}
+
+/**
+ * Checks the length of the string or the array. Throws an error
+ * or truncates the value (with a warning), when it exceeds the limit.
+ *
+ * @param {string|Array} value
+ * @param {number} max
+ * @param {string} name description of the value used in the message
+ * @param {{validation?:string,log?:object}} [options]
+ *     `validation` is `throw` or `truncate`
+ * @returns {string|Array}
+ *
+ * @example
+ * const { limit, LIMITS } = require('./validation');
+ *
+ * const text = limit(longText, LIMITS.text, 'Text', { validation: 'truncate' });
+ */
+function limit (value, max, name, options = {}) {
+    if (value === null || value === undefined || value.length <= max) {
+        return value;
+    }
+
+    report(`${name} exceeds the Messenger limit of ${max} (${value.length})`, options);
+
+    if (typeof value === 'string') {
+        return `${value.substr(0, max - 1)}…`;
+    }
+    return value.slice(0, max);
+}
+
+/**
+ * Checks the size of the postback payload. Payload can't be truncated,
+ * so it's sent anyway in the `truncate` mode (with a warning).
+ *
+ * @param {string} payload
+ * @param {{validation?:string,log?:object}} [options]
+ * @returns {string}
+ */
+function payloadLimit (payload, options = {}) {
+    if (typeof payload === 'string' && payload.length > LIMITS.payload) {
+        report(`Payload exceeds the Messenger limit of ${LIMITS.payload} (${payload.length})`, options);
+    }
+    return payload;
+}
+
+function lastBreak (text, regex) {
+    let position = -1;
+    let match = regex.exec(text);
+
+    while (match !== null) {
+        position = match.index + match[0].length;
+        match = regex.exec(text);
+    }
+
+    return position;
+}
+
+/**
+ * Splits the long text into chunks within the limit.
+ * Paragraphs are preferred over sentences, sentences over words.
+ *
+ * @param {string} text
+ * @param {number} [max=LIMITS.text]
+ * @returns {string[]}
+ *
+ * @example
+ * splitText('First sentence. Second sentence.', 20);
+ * // ['First sentence.', 'Second sentence.']
+ */
+function splitText (text, max = LIMITS.text) {
+    const chunks = [];
+    let rest = text;
+
+    while (rest.length > max) {
+        // include the next character, so the whitespace right after the limit counts
+        const part = rest.substr(0, max + 1);
+        let position = lastBreak(part, /\n\s*\n/g);
+
+        if (position <= 0) {
+            position = lastBreak(part, /[.!?…]+\s+/g);
+        }
+        if (position <= 0) {
+            position = lastBreak(part, /\s+/g);
+        }
+        if (position <= 0) {
+            position = max;
+        }
+
+        const chunk = rest.substr(0, position).trim();
+        if (chunk) {
+            chunks.push(chunk);
+        }
+        rest = rest.substr(position).replace(/^\s+/, '');
+    }
+
+    if (rest) {
+        chunks.push(rest);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    LIMITS,
+    defaultMode,
+    report,
+    limit,
+    payloadLimit,
+    splitText
+};
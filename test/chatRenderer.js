@@ -0,0 +1,134 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const { renderResponse, stateDiff } = require('../src/chatRenderer');
+
+describe('chatRenderer', function () {
+
+    describe('#renderResponse()', function () {
+
+        it('should render text with numbered quick replies', function () {
+            const choices = [];
+            const lines = renderResponse({
+                message: {
+                    text: 'Hello',
+                    quick_replies: [
+                        { content_type: 'text', title: 'Yes', payload: '{"action":"/yes","data":{"a":1}}' },
+                        { content_type: 'text', title: 'No', payload: '/no' }
+                    ]
+                }
+            }, choices);
+
+            assert.deepEqual(lines, ['Hello', '  (1) Yes', '  (2) No']);
+            assert.deepEqual(choices, [
+                { title: 'Yes', type: 'quickReply', action: '/yes', data: { a: 1 } },
+                { title: 'No', type: 'quickReply', action: '/no', data: {} }
+            ]);
+        });
+
+        it('should render hints for location, e-mail and phone quick replies', function () {
+            const choices = [];
+            const lines = renderResponse({
+                message: {
+                    text: 'Where are you?',
+                    quick_replies: [
+                        { content_type: 'location' },
+                        { content_type: 'user_email' },
+                        { content_type: 'text', title: 'Skip', payload: '/skip' }
+                    ]
+                }
+            }, choices);
+
+            assert.deepEqual(lines, [
+                'Where are you?',
+                '  (send location: /location <lat> <long>)',
+                '  (type your e-mail)',
+                '  (1) Skip'
+            ]);
+            assert.deepEqual(choices, [{ title: 'Skip', type: 'quickReply', action: '/skip', data: {} }]);
+        });
+
+        it('should draw templates as cards', function () {
+            const choices = [];
+            const lines = renderResponse({
+                message: {
+                    attachment: {
+                        type: 'template',
+                        payload: {
+                            template_type: 'button',
+                            text: 'Choose',
+                            buttons: [
+                                { type: 'postback', title: 'Go', payload: '{"action":"/go","data":{}}' },
+                                { type: 'web_url', title: 'Web', url: 'http://x.cz' }
+                            ]
+                        }
+                    }
+                }
+            }, choices);
+
+            assert.strictEqual(lines.length, 6);
+            assert(lines[1].indexOf('| Choose') === 0);
+            assert(lines[3].indexOf('| [1] Go') === 0);
+            assert(lines[4].indexOf('| [Web] http://x.cz') === 0);
+            assert.deepEqual(choices, [{ title: 'Go', type: 'postBack', action: '/go', data: {} }]);
+        });
+
+        it('should draw list and media templates', function () {
+            const choices = [];
+            const button = { type: 'postback', title: 'More', payload: '/more' };
+            const list = renderResponse({
+                message: {
+                    attachment: {
+                        type: 'template',
+                        payload: {
+                            template_type: 'list',
+                            elements: [{ title: 'First' }, { title: 'Second' }],
+                            buttons: [button]
+                        }
+                    }
+                }
+            }, choices);
+
+            assert(list[1].indexOf('| First') === 0);
+            assert(list[3].indexOf('| Second') === 0);
+            assert(list[5].indexOf('| [1] More') === 0);
+
+            const media = renderResponse({
+                message: {
+                    attachment: {
+                        type: 'template',
+                        payload: {
+                            template_type: 'media',
+                            elements: [{ media_type: 'video', attachment_id: '123' }]
+                        }
+                    }
+                }
+            }, choices);
+
+            assert(media[1].indexOf('| <video 123>') === 0);
+        });
+
+        it('should render attachments and sender actions', function () {
+            assert.deepEqual(renderResponse({
+                message: { attachment: { type: 'image', payload: { url: 'http://x.cz/a.png' } } }
+            }), ['<image http://x.cz/a.png>']);
+            assert.deepEqual(renderResponse({ sender_action: 'typing_on' }), ['...']);
+            assert.deepEqual(renderResponse({ sender_action: 'typing_off' }), []);
+        });
+
+    });
+
+    describe('#stateDiff()', function () {
+
+        it('should list added, removed and changed keys', function () {
+            const lines = stateDiff({ a: 1, b: 2, c: 3 }, { a: 1, b: 5, d: 'x' });
+
+            assert.deepEqual(lines, ['~ b: 2 -> 5', '- c: 3', '+ d: "x"']);
+        });
+
+    });
+
+});
@@ -0,0 +1,116 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const { accountLinkingRedirect } = require('../src/expressHooks');
+
+const REDIRECT_URI = 'https://facebook.com/messenger_platform/account_linking/?account_linking_token=a';
+
+function createProcessor (valid = true) {
+    return {
+        secure: {
+            verifyToken: sinon.spy(() => (valid
+                ? Promise.resolve({ token: 't' })
+                : Promise.reject(new Error('Unauthorized'))))
+        }
+    };
+}
+
+function createRes () {
+    const res = {
+        redirect: sinon.spy(),
+        send: sinon.spy(),
+        status: sinon.spy(() => res)
+    };
+    return res;
+}
+
+describe('expressHooks', function () {
+
+    describe('#accountLinkingRedirect()', function () {
+
+        it('should redirect with the authorization code', function () {
+            const processor = createProcessor();
+            const authorize = sinon.spy(() => Promise.resolve('user 1'));
+            const req = { query: { redirect_uri: REDIRECT_URI, token: 't', senderId: '1' } };
+            const res = createRes();
+
+            return accountLinkingRedirect(processor, authorize)(req, res)
+                .then(() => {
+                    assert.deepEqual(processor.secure.verifyToken.firstCall.args, ['t', '1']);
+                    assert.deepEqual(authorize.firstCall.args, [req, '1']);
+                    assert.deepEqual(res.redirect.firstCall.args, [
+                        `${REDIRECT_URI}&authorization_code=user%201`
+                    ]);
+                });
+        });
+
+        it('should cancel the linking, when the token is invalid', function () {
+            const processor = createProcessor(false);
+            const authorize = sinon.spy();
+            const log = { error: sinon.spy() };
+            const req = { query: { redirect_uri: REDIRECT_URI, token: 'x', senderId: '1' } };
+            const res = createRes();
+
+            return accountLinkingRedirect(processor, authorize, log)(req, res)
+                .then(() => {
+                    assert(!authorize.called);
+                    assert(log.error.calledOnce);
+                    assert.deepEqual(res.redirect.firstCall.args, [REDIRECT_URI]);
+                });
+        });
+
+        it('should refuse requests without redirect_uri', function () {
+            const res = createRes();
+
+            return accountLinkingRedirect(createProcessor(), () => null)({ query: {} }, res)
+                .then(() => {
+                    assert.deepEqual(res.status.firstCall.args, [400]);
+                    assert(!res.redirect.called);
+                });
+        });
+
+        it('should refuse redirects out of the Messenger', function () {
+            const processor = createProcessor();
+            const handler = accountLinkingRedirect(processor, () => Promise.resolve('user'));
+            const foreign = [
+                'https://evil.com/messenger_platform/account_linking/?account_linking_token=a',
+                'https://facebook.com.evil.com/messenger_platform/account_linking/',
+                'https://evilfacebook.com/messenger_platform/account_linking/',
+                'http://facebook.com/messenger_platform/account_linking/',
+                'https://facebook.com/somewhere/else',
+                '/messenger_platform/account_linking/'
+            ];
+
+            return Promise.all(foreign.map((uri) => {
+                const res = createRes();
+                const req = { query: { redirect_uri: uri, token: 't', senderId: '1' } };
+
+                return handler(req, res)
+                    .then(() => {
+                        assert.deepEqual(res.status.firstCall.args, [400], uri);
+                        assert(!res.redirect.called, uri);
+                    });
+            }))
+                .then(() => assert(!processor.secure.verifyToken.called));
+        });
+
+        it('should accept the messenger.com subdomains', function () {
+            const redirectUri = 'https://www.messenger.com/messenger_platform/account_linking/?account_linking_token=a';
+            const req = { query: { redirect_uri: redirectUri, token: 't', senderId: '1' } };
+            const res = createRes();
+
+            return accountLinkingRedirect(createProcessor(), () => Promise.resolve('u'))(req, res)
+                .then(() => {
+                    assert.deepEqual(res.redirect.firstCall.args, [
+                        `${redirectUri}&authorization_code=u`
+                    ]);
+                });
+        });
+
+    });
+
+});
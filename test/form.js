@@ -0,0 +1,143 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const Tester = require('../src/Tester');
+const Router = require('../src/Router');
+const Form = require('../src/Form');
+
+function createTester (setup = () => {}) {
+    const form = new Form()
+        .field('name', {
+            prompt: 'What is your name?'
+        })
+        .field('age', {
+            prompt: (res, data) => res.text(`How old are you, ${data.name}?`),
+            error: 'Please, write the number',
+            validate: text => Promise.resolve(text.match(/^\d+$/) ? parseInt(text, 10) : null)
+        });
+
+    const router = new Router();
+
+    router.use('/register', form)
+        .next('done', (data, req, res) => {
+            res.text(`Done ${data.name} ${data.age}`);
+        })
+        .next('cancel', (data, req, res) => {
+            res.text(`Cancelled ${Object.keys(data).length}`);
+        });
+
+    setup(router);
+
+    router.use((req, res) => {
+        res.text('Fallback');
+    });
+
+    return new Tester(router);
+}
+
+describe('Form', function () {
+
+    it('should collect the fields and pass the data to the exit action', function () {
+        const t = createTester();
+
+        return t.postBack('/register')
+            .then(() => {
+                t.lastRes().contains('What is your name');
+                return t.text('John');
+            })
+            .then(() => {
+                t.lastRes().contains('How old are you, John');
+                assert.deepEqual(t.getState().state._expected.data._form.data, { name: 'John' });
+                return t.text('foo');
+            })
+            .then(() => {
+                t.lastRes().contains('Please, write the number');
+                return t.text('33');
+            })
+            .then(() => {
+                t.lastRes().contains('Done John 33');
+                assert.strictEqual(t.getState().state._expected, null);
+                return t.text('hello');
+            })
+            .then(() => {
+                t.lastRes().contains('Fallback');
+            });
+    });
+
+    it('should go back and cancel the form', function () {
+        const t = createTester();
+
+        return t.postBack('/register')
+            .then(() => t.text('John'))
+            .then(() => t.text('back'))
+            .then(() => {
+                t.lastRes().contains('What is your name');
+                assert.deepEqual(t.getState().state._expected.data._form.data, {});
+                return t.text('Jack');
+            })
+            .then(() => t.text('cancel'))
+            .then(() => {
+                t.lastRes().contains('Cancelled 1');
+            });
+    });
+
+    it('should keep the data of each form separately', function () {
+        const t = createTester((router) => {
+            const order = new Form()
+                .field('product', { prompt: 'Which product?' })
+                .field('count', { prompt: 'How many?' });
+
+            router.use('/order', order)
+                .next('done', (data, req, res) => {
+                    res.text(`Ordered ${JSON.stringify(data)}`);
+                });
+        });
+
+        return t.postBack('/register')
+            .then(() => t.text('John'))
+            .then(() => {
+                t.lastRes().contains('How old are you, John');
+                return t.postBack('/order/answer');
+            })
+            .then(() => {
+                t.lastRes().contains('Which product');
+                return t.text('Pizza');
+            })
+            .then(() => {
+                t.lastRes().contains('How many');
+                return t.text('2');
+            })
+            .then(() => {
+                t.lastRes().contains('Ordered {"product":"Pizza","count":"2"}');
+                return t.postBack('/register/answer');
+            })
+            .then(() => {
+                t.lastRes().contains('What is your name');
+            });
+    });
+
+    it('should forget the data, when the user leaves the form', function () {
+        const t = createTester((router) => {
+            router.use('/help', (req, res) => {
+                res.text('Help');
+            });
+        });
+
+        return t.postBack('/register')
+            .then(() => t.text('John'))
+            .then(() => t.quickReply('/help'))
+            .then(() => {
+                t.lastRes().contains('Help');
+                assert.strictEqual(t.getState().state._expected, null);
+                assert.strictEqual(t.getState().state._form, undefined);
+                return t.text('33');
+            })
+            .then(() => {
+                t.lastRes().contains('Fallback');
+            });
+    });
+
+});
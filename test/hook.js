@@ -0,0 +1,73 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const Hook = require('../src/Hook');
+const JsonChannel = require('../src/JsonChannel');
+
+describe('Hook', function () {
+
+    describe('#onRequest()', function () {
+
+        it('should process messaging and standby events', function () {
+            const processor = {
+                processMessage: sinon.spy(() => Promise.resolve())
+            };
+            const hook = new Hook(processor);
+
+            return hook.onRequest({
+                object: 'page',
+                entry: [{
+                    id: 'page',
+                    messaging: [{ sender: { id: '1' }, message: { text: 'a' } }],
+                    standby: [{ sender: { id: '1' }, message: { text: 'b' } }]
+                }]
+            })
+                .then(() => {
+                    assert(processor.processMessage.calledTwice);
+                    assert.deepEqual(processor.processMessage.firstCall.args, [
+                        { sender: { id: '1' }, message: { text: 'a' } },
+                        'page'
+                    ]);
+                    assert.deepEqual(processor.processMessage.secondCall.args, [
+                        { sender: { id: '1' }, message: { text: 'b' }, standby: true },
+                        'page'
+                    ]);
+                });
+        });
+
+        it('should ignore other objects', function () {
+            const processor = {
+                processMessage: sinon.spy(() => Promise.resolve())
+            };
+            const hook = new Hook(processor);
+
+            return hook.onRequest({ object: 'user' })
+                .then(() => {
+                    assert(!processor.processMessage.called);
+                });
+        });
+
+        it('should use the channel of the processor', function () {
+            const processor = {
+                processMessage: sinon.spy(() => Promise.resolve()),
+                channel: new JsonChannel()
+            };
+            const hook = new Hook(processor);
+
+            return hook.onRequest({ senderId: '1', text: 'a', pageId: 'p' })
+                .then(() => {
+                    assert(processor.processMessage.calledOnce);
+                    assert.deepEqual(processor.processMessage.firstCall.args, [
+                        { sender: { id: '1' }, message: { text: 'a' } },
+                        'p'
+                    ]);
+                });
+        });
+
+    });
+
+});
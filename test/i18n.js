@@ -0,0 +1,40 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const { format, pluralIndex } = require('../src/i18n');
+
+describe('i18n', function () {
+
+    describe('#pluralIndex()', function () {
+
+        it('should use plural rules of the language', function () {
+            assert.deepEqual([0, 1, 2].map(n => pluralIndex(n)), [1, 0, 1]);
+            assert.deepEqual([1, 3, 5].map(n => pluralIndex(n, 'cs_CZ')), [0, 1, 2]);
+            assert.deepEqual([1, 22, 25, 12].map(n => pluralIndex(n, 'pl')), [0, 1, 2, 2]);
+            assert.deepEqual([21, 3, 11].map(n => pluralIndex(n, 'ru-RU')), [0, 1, 2]);
+            assert.deepEqual([0, 2].map(n => pluralIndex(n, 'fr_FR')), [0, 1]);
+            assert.strictEqual(pluralIndex(5, 'xx_XX'), 1);
+        });
+
+    });
+
+    describe('#format()', function () {
+
+        it('should replace named placeholders', function () {
+            assert.strictEqual(format('Hello {name}, {unknown}', { name: 'John' }), 'Hello John, {unknown}');
+        });
+
+        it('should select the plural form', function () {
+            assert.strictEqual(format('One apple|{count} apples', { count: 1 }), 'One apple');
+            assert.strictEqual(format('One apple|{count} apples', { count: 4 }), '4 apples');
+            assert.strictEqual(format('a|b|c', { count: 5 }, 'en'), 'b');
+            assert.strictEqual(format('a|b', { count: 5 }, 'cs'), 'b');
+            assert.strictEqual(format('a|b', {}), 'a|b');
+        });
+
+    });
+
+});
@@ -0,0 +1,125 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const JsonChannel = require('../src/JsonChannel');
+const Request = require('../src/Request');
+
+describe('JsonChannel', function () {
+
+    describe('#parse()', function () {
+
+        it('should normalize events to the Request model', function () {
+            const channel = new JsonChannel();
+            const events = channel.parse({
+                events: [
+                    { senderId: '1', text: 'hello', pageId: 'p' },
+                    { senderId: '1', quickReply: { action: 'yes', data: { a: 1 } } },
+                    { senderId: '1', postBack: { action: 'start' } },
+                    { senderId: '1', location: { lat: 50, long: 14 } },
+                    { text: 'no sender' },
+                    null
+                ]
+            });
+
+            assert.deepEqual(events, [
+                { event: Request.text('1', 'hello'), pageId: 'p' },
+                { event: Request.quickReply('1', 'yes', { a: 1 }), pageId: null },
+                { event: Request.createPostBack('1', 'start'), pageId: null },
+                { event: Request.location('1', 50, 14), pageId: null }
+            ]);
+
+            const req = new Request(events[1].event, {});
+            assert.strictEqual(req.action(), 'yes');
+        });
+
+        it('should accept a single event', function () {
+            const channel = new JsonChannel();
+
+            assert.deepEqual(channel.parse({ senderId: '1', text: 'a' }), [
+                { event: Request.text('1', 'a'), pageId: null }
+            ]);
+        });
+
+    });
+
+    describe('#render()', function () {
+
+        it('should render texts with quick replies and sender actions', function () {
+            const channel = new JsonChannel();
+
+            assert.deepEqual(channel.render({
+                recipient: { id: '1' },
+                message: {
+                    text: 'Hi',
+                    quick_replies: [
+                        { content_type: 'text', title: 'Yes', payload: '{"action":"/yes","data":{}}' },
+                        { content_type: 'user_phone_number' }
+                    ]
+                }
+            }), {
+                recipientId: '1',
+                type: 'text',
+                text: 'Hi',
+                quickReplies: [{ title: 'Yes', action: '/yes', data: {} }, { type: 'phone' }]
+            });
+
+            assert.deepEqual(channel.render({ recipient: { id: '1' }, sender_action: 'typing_on' }), {
+                recipientId: '1', type: 'action', action: 'typing_on'
+            });
+        });
+
+        it('should render button and generic templates', function () {
+            const channel = new JsonChannel();
+            const buttons = [
+                { type: 'postback', title: 'Go', payload: '{"action":"/go","data":{"b":1}}' },
+                { type: 'web_url', title: 'Web', url: 'http://x.cz' }
+            ];
+            const renderedButtons = [
+                { type: 'postBack', title: 'Go', action: '/go', data: { b: 1 } },
+                { type: 'url', title: 'Web', url: 'http://x.cz' }
+            ];
+
+            assert.deepEqual(channel.render({
+                recipient: { id: '1' },
+                message: { attachment: { type: 'template', payload: { template_type: 'button', text: 'Choose', buttons } } }
+            }), { recipientId: '1', type: 'buttons', text: 'Choose', buttons: renderedButtons });
+
+            assert.deepEqual(channel.render({
+                recipient: { id: '1' },
+                message: {
+                    attachment: {
+                        type: 'template',
+                        payload: {
+                            template_type: 'generic',
+                            elements: [{ title: 'T', image_url: 'http://x.cz/a.png', buttons }]
+                        }
+                    }
+                }
+            }), {
+                recipientId: '1',
+                type: 'cards',
+                cards: [{
+                    title: 'T', subtitle: null, imageUrl: 'http://x.cz/a.png', itemUrl: null, buttons: renderedButtons
+                }]
+            });
+        });
+
+    });
+
+    describe('#transport()', function () {
+
+        it('should require the webhookUrl', function () {
+            const transport = new JsonChannel().transport();
+
+            return transport({}, 'token')
+                .then(() => assert.fail('should fail'), (e) => {
+                    assert.strictEqual(e.message, 'Missing webhookUrl in JsonChannel options');
+                });
+        });
+
+    });
+
+});
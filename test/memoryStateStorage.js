@@ -11,6 +11,19 @@ const DEFAULT_STATE = { x: 1 };
 
 describe('MemoryStateStorage', function () {
 
+    describe('#getState()', function () {
+
+        it('should return the default state without storing it', function () {
+            const storage = new MemoryStateStorage();
+
+            const state = storage.getState(SENDER_ID, DEFAULT_STATE, 'page');
+
+            assert.deepEqual(state, { senderId: SENDER_ID, state: DEFAULT_STATE, pageId: 'page' });
+            assert.equal(storage.store.size, 0);
+        });
+
+    });
+
     describe('#getOrCreateAndLock()', function () {
 
         it('should return state with state object', function () {
@@ -53,4 +53,41 @@ describe('MenuComposer', function () {
         ]]);
     });
 
+    it('should leave out menu items over the limits', function () {
+        const doneSpy = sinon.spy(() => TESTCONST);
+        const log = { warn: sinon.spy() };
+        const composer = new MenuComposer(doneSpy, { validation: 'truncate', log });
+
+        composer.addNested('First')
+                .addNested('Second')
+                    .addNested('Third')
+                        .addPostBack('Deep', '/deep')
+                        .done()
+                    .done()
+                .done()
+            .addPostBack('Two', '/two')
+            .addPostBack('Three', '/three')
+            .addPostBack('Four', '/four')
+            .done();
+
+        const [actions] = doneSpy.firstCall.args;
+        assert.equal(actions.length, 3);
+        assert.deepEqual(actions[0].call_to_actions[0].call_to_actions, []);
+        assert.equal(log.warn.callCount, 2);
+    });
+
+    it('should throw, when the menu is too long', function () {
+        const composer = new MenuComposer(() => {}, { validation: 'throw' });
+
+        assert.throws(() => composer.addPostBack('Very long title of the menu item', '/a'));
+    });
+
+    it('should throw, when the menu is too deep', function () {
+        const composer = new MenuComposer(() => {}, { validation: 'throw' });
+        const nested = composer.addNested('First')
+            .addNested('Second');
+
+        assert.throws(() => nested.addNested('Third'), /Depth of the menu exceeds the limit of 3 levels/);
+    });
+
 });
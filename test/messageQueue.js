@@ -0,0 +1,160 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const MessageQueue = require('../src/MessageQueue');
+
+function wait (ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function createLogger () {
+    return {
+        warn: sinon.spy()
+    };
+}
+
+describe('MessageQueue', function () {
+
+    describe('#push()', function () {
+
+        it('should process messages of the same key one by one', function () {
+            const order = [];
+            const processFn = sinon.spy((message, delay) => wait(delay)
+                .then(() => {
+                    order.push(message);
+                    return message;
+                }));
+
+            const queue = new MessageQueue(processFn, 10, 'dropOldest', createLogger());
+
+            return Promise.all([
+                queue.push('a', 'first', 30),
+                queue.push('a', 'second', 1),
+                queue.push('b', 'other', 10)
+            ])
+                .then((results) => {
+                    assert.deepEqual(results, ['first', 'second', 'other']);
+                    assert.deepEqual(order, ['other', 'first', 'second']);
+                    assert.equal(queue.waiting('a'), 0);
+                });
+        });
+
+        it('should process the next message, when the previous one is released', function () {
+            const order = [];
+            const processFn = (message, release) => {
+                order.push(message);
+                if (message === 'hanging') {
+                    release();
+                    return new Promise(() => {});
+                }
+                return Promise.resolve(message);
+            };
+
+            const queue = new MessageQueue(processFn, 10, 'dropOldest', createLogger());
+
+            queue.push('a', 'hanging');
+
+            return queue.push('a', 'next')
+                .then((result) => {
+                    assert.strictEqual(result, 'next');
+                    assert.deepEqual(order, ['hanging', 'next']);
+                });
+        });
+
+        it('should reject only the failed message', function () {
+            const processFn = message => (message === 'bad'
+                ? Promise.reject(new Error('Fail'))
+                : Promise.resolve(message));
+
+            const queue = new MessageQueue(processFn, 10, 'dropOldest', createLogger());
+
+            const failed = queue.push('a', 'bad')
+                .then(() => assert.fail('should be rejected'), e => e.message);
+
+            return Promise.all([failed, queue.push('a', 'good')])
+                .then((results) => {
+                    assert.deepEqual(results, ['Fail', 'good']);
+                });
+        });
+
+        it('should drop oldest waiting messages, when the queue is full', function () {
+            const processFn = sinon.spy(message => wait(5).then(() => message));
+            const log = createLogger();
+            const queue = new MessageQueue(processFn, 1, 'dropOldest', log);
+
+            return Promise.all([
+                queue.push('a', 'first'),
+                queue.push('a', 'second'),
+                queue.push('a', 'third')
+            ])
+                .then((results) => {
+                    assert.deepEqual(results, ['first', null, 'third']);
+                    assert.equal(processFn.callCount, 2);
+                    assert(log.warn.calledOnce);
+                });
+        });
+
+        it('should drop newest messages, when the queue is full', function () {
+            const processFn = sinon.spy(message => wait(5).then(() => message));
+            const queue = new MessageQueue(processFn, 1, 'dropNewest', createLogger());
+
+            return Promise.all([
+                queue.push('a', 'first'),
+                queue.push('a', 'second'),
+                queue.push('a', 'third')
+            ])
+                .then((results) => {
+                    assert.deepEqual(results, ['first', 'second', null]);
+                    assert.equal(processFn.callCount, 2);
+                });
+        });
+
+        it('should merge text messages with mergeTexts policy', function () {
+            const text = t => ({ sender: { id: 'a' }, message: { text: t } });
+            const processFn = sinon.spy(message => wait(5).then(() => message.message.text));
+            const queue = new MessageQueue(processFn, 1, MessageQueue.mergeTexts, createLogger());
+
+            return Promise.all([
+                queue.push('a', text('first')),
+                queue.push('a', text('second')),
+                queue.push('a', text('third')),
+                queue.push('a', { sender: { id: 'a' }, postback: { payload: 'x' } })
+            ])
+                .then((results) => {
+                    assert.deepEqual(results, ['first', 'second\nthird', 'second\nthird', null]);
+                    assert.equal(processFn.callCount, 2);
+                });
+        });
+
+    });
+
+    describe('#pushFirst()', function () {
+
+        it('should process the message ahead of the waiting messages', function () {
+            const order = [];
+            const processFn = message => wait(5)
+                .then(() => {
+                    order.push(message);
+                    return message;
+                });
+            const queue = new MessageQueue(processFn, 1, 'dropOldest', createLogger());
+
+            return Promise.all([
+                queue.push('a', 'first'),
+                queue.push('a', 'second'),
+                queue.pushFirst('a', 'postback'),
+                queue.pushFirst('a', 'another postback')
+            ])
+                .then((results) => {
+                    assert.deepEqual(results, ['first', 'second', 'postback', 'another postback']);
+                    assert.deepEqual(order, ['first', 'postback', 'another postback', 'second']);
+                });
+        });
+
+    });
+
+});
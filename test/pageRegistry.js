@@ -0,0 +1,36 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const PageRegistry = require('../src/PageRegistry');
+const Settings = require('../src/Settings');
+
+describe('PageRegistry', function () {
+
+    it('should keep the configuration of pages', function () {
+        const pages = new PageRegistry({ 123: { pageToken: 'a', appUrl: 'http://a.cz' } })
+            .add('456', { pageToken: 'b' });
+
+        assert.deepEqual(pages.pageIds(), ['123', '456']);
+        assert.deepEqual(pages.get(123), { pageToken: 'a', appUrl: 'http://a.cz' });
+        assert.strictEqual(pages.token('456'), 'b');
+        assert.strictEqual(pages.token('789'), null);
+        assert.strictEqual(pages.get('789'), null);
+    });
+
+    it('should require the page token', function () {
+        assert.throws(() => new PageRegistry({ 123: {} }), /Missing pageToken for page 123/);
+    });
+
+    it('should create settings of the page', function () {
+        const pages = new PageRegistry({ 123: { pageToken: 'a' } });
+        const settings = pages.settings('123');
+
+        assert(settings instanceof Settings);
+        assert.strictEqual(settings.token, 'a');
+        assert.throws(() => pages.settings('456'), /Unknown page 456/);
+    });
+
+});
@@ -0,0 +1,81 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const parsers = require('../src/parsers');
+
+const NOW = new Date(2017, 2, 21); // tuesday
+
+function day (text, options = {}) {
+    const date = parsers.date(text, Object.assign({ now: NOW }, options));
+    return date && [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+}
+
+describe('parsers', function () {
+
+    describe('#email()', function () {
+
+        it('should find the e-mail', function () {
+            assert.strictEqual(parsers.email('my email is John.Doe@Example.com.'), 'john.doe@example.com');
+            assert.strictEqual(parsers.email('john@'), null);
+        });
+
+    });
+
+    describe('#number()', function () {
+
+        it('should understand common formats', function () {
+            assert.strictEqual(parsers.number('I have 3 kids'), 3);
+            assert.strictEqual(parsers.number('1 234,5'), 1234.5);
+            assert.strictEqual(parsers.number('1,234.5'), 1234.5);
+            assert.strictEqual(parsers.number('1.234.567'), 1234567);
+            assert.strictEqual(parsers.number('1,234'), 1234);
+            assert.strictEqual(parsers.number('-1,5'), -1.5);
+            assert.strictEqual(parsers.number('none'), null);
+        });
+
+    });
+
+    describe('#phone()', function () {
+
+        it('should normalize phone numbers', function () {
+            assert.strictEqual(parsers.phone('call me: +420 603 123 456'), '+420603123456');
+            assert.strictEqual(parsers.phone('00420603123456'), '+420603123456');
+            assert.strictEqual(parsers.phone('(603) 123-456'), '603123456');
+            assert.strictEqual(parsers.phone('123 45'), null);
+        });
+
+    });
+
+    describe('#date()', function () {
+
+        it('should parse absolute dates', function () {
+            assert.strictEqual(day('2017-04-05'), '2017-4-5');
+            assert.strictEqual(day('on 24. 12. 2018'), '2018-12-24');
+            assert.strictEqual(day('24.12.'), '2017-12-24');
+            assert.strictEqual(day('4/1/17'), '2017-4-1');
+            assert.strictEqual(day('the 1st of May'), '2017-5-1');
+            assert.strictEqual(day('March 28th, 2019'), '2019-3-28');
+            assert.strictEqual(day('21. března'), '2017-3-21');
+            assert.strictEqual(day('31. 2. 2017'), null);
+        });
+
+        it('should parse relative dates', function () {
+            assert.strictEqual(day('Today'), '2017-3-21');
+            assert.strictEqual(day('zítra'), '2017-3-22');
+            assert.strictEqual(day('pozítří'), '2017-3-23');
+            assert.strictEqual(day('yesterday'), '2017-3-20');
+            assert.strictEqual(day('in 10 days'), '2017-3-31');
+            assert.strictEqual(day('za 2 týdny'), '2017-4-4');
+            assert.strictEqual(day('před 3 dny'), '2017-3-18');
+            assert.strictEqual(day('next monday'), '2017-3-27');
+            assert.strictEqual(day('v úterý'), '2017-3-28');
+            assert.strictEqual(day('tomorrow', { relative: false }), null);
+            assert.strictEqual(day('whenever'), null);
+        });
+
+    });
+
+});
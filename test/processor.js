@@ -9,6 +9,9 @@ const Processor = require('../src/Processor');
 const Request = require('../src/Request');
 const ReducerWrapper = require('../src/ReducerWrapper');
 const { senderFactory } = require('../src/senderFactory');
+const transports = require('../src/transports');
+const JsonChannel = require('../src/JsonChannel');
+const MemoryStateStorage = require('../src/MemoryStateStorage');
 
 const EMPTY_STATE = { user: {} };
 
@@ -130,6 +133,247 @@ describe('Processor', function () {
             });
         });
 
+        it('should wait for asynchronous reducers', function () {
+
+            const reducer = sinon.spy((req, res) => new Promise(r => setTimeout(r, 10))
+                .then(() => {
+                    res.setState({ final: 1 });
+                    res.text('Hello');
+                }));
+
+            const stateStorage = createStateStorage();
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage({
+                sender: {
+                    id: 1
+                },
+                message: {
+                    text: 'ahoj'
+                }
+            }, 10).then(() => {
+                assert(reducer.calledOnce);
+
+                assert.deepEqual(stateStorage.model.state, {
+                    final: 1,
+                    user: {},
+                    _expected: null,
+                    _expectedKeywords: null
+                });
+
+                assert(opts.senderFnFactory.sender.called);
+            });
+        });
+
+        it('should call onError handler and save the state, when reducer fails', function () {
+
+            const reducer = sinon.spy((req, res) => {
+                res.setState({ final: 1 });
+                throw new Error('Fail');
+            });
+
+            const stateStorage = createStateStorage();
+            const opts = makeOptions();
+            opts.onError = sinon.spy((err, req, res) => {
+                res.text('Sorry');
+                res.setState({ failed: true });
+            });
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage({
+                sender: {
+                    id: 1
+                },
+                message: {
+                    text: 'ahoj'
+                }
+            }, 10).then(() => {
+                assert(opts.onError.calledOnce);
+                assert.equal(opts.onError.firstCall.args[0].message, 'Fail');
+                assert(!opts.log.error.called);
+
+                assert.deepEqual(stateStorage.model.state, {
+                    final: 1,
+                    failed: true,
+                    user: {},
+                    _expected: null,
+                    _expectedKeywords: null
+                });
+                assert.strictEqual(stateStorage.model.lock, 0);
+                assert(opts.senderFnFactory.sender.calledOnce);
+            });
+        });
+
+        it('should process messages of the same sender in order', function () {
+
+            const texts = [];
+            const reducer = sinon.spy((req, res) => {
+                const delay = req.text() === 'first' ? 30 : 1;
+                return new Promise(r => setTimeout(r, delay))
+                    .then(() => {
+                        texts.push(req.text());
+                        res.setState({ last: req.text() });
+                    });
+            });
+
+            const stateStorage = createStateStorage(EMPTY_STATE, false);
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return Promise.all([
+                proc.processMessage(Request.text(1, 'first'), 10),
+                proc.processMessage(Request.text(1, 'second'), 10)
+            ]).then(() => {
+                assert.deepEqual(texts, ['first', 'second']);
+                assert.equal(stateStorage.model.state.last, 'second');
+                assert.equal(stateStorage.getOrCreateAndLock.callCount, 2);
+            });
+        });
+
+        it('should not lock and save the state for lightweight events, when disabled', function () {
+
+            const reducer = sinon.spy((req, res) => {
+                assert(req.isRead());
+                res.setState({ final: 1 });
+            });
+
+            const stateStorage = createStateStorage();
+            const opts = makeOptions();
+            opts.lockLightweightEvents = false;
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.read(1, 123), 10)
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert(!stateStorage.getOrCreateAndLock.called);
+                    assert(!stateStorage.saveState.called);
+                });
+        });
+
+        it('should not create the state for lightweight events in the memory storage', function () {
+            const reducer = sinon.spy();
+            const stateStorage = new MemoryStateStorage();
+            const opts = makeOptions();
+            opts.lockLightweightEvents = false;
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.read(1, 123), 10)
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert.equal(stateStorage.store.size, 0);
+                });
+        });
+
+        it('should not call reducer for echoes, unless processEchoes is set', function () {
+
+            const reducer = sinon.spy((req) => {
+                assert(req.isEcho());
+            });
+
+            const stateStorage = createStateStorage(EMPTY_STATE, false);
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.echo(10, 1, 'Hello'), 10)
+                .then(() => {
+                    assert(!reducer.called);
+                    assert.equal(stateStorage.getOrCreateAndLock.firstCall.args[0], 1);
+
+                    proc.options.processEchoes = true;
+                    return proc.processMessage(Request.echo(10, 1, 'Hello'), 10);
+                })
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert.equal(stateStorage.getOrCreateAndLock.secondCall.args[0], 1);
+                });
+        });
+
+        it('should not call reducer for standby events, but save the state', function () {
+
+            const reducer = sinon.spy();
+
+            const stateStorage = createStateStorage({ user: {}, _expected: 'foo' }, false);
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            const message = Object.assign(Request.text(1, 'Hello agent'), { standby: true });
+
+            return proc.processMessage(message, 10)
+                .then(() => {
+                    assert(!reducer.called);
+                    assert(stateStorage.saveState.calledOnce);
+                    assert.deepEqual(stateStorage.model.state, { user: {}, _expected: 'foo' });
+                    assert(stateStorage.model.lastInteraction instanceof Date);
+
+                    proc.options.processStandby = true;
+                    return proc.processMessage(message, 10);
+                })
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert(reducer.firstCall.args[0].isStandby());
+                });
+        });
+
+        it('should not process messages, when the bot is paused', function () {
+
+            const reducer = sinon.spy((req, res) => {
+                if (req.isResume()) {
+                    res.text('I am back');
+                    res.setState({ resumed: true });
+                }
+            });
+
+            const stateStorage = createStateStorage(EMPTY_STATE, false);
+            const opts = makeOptions();
+            opts.chatLog = { log: sinon.spy() };
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            const message = Request.text(1, 'Hello');
+
+            return proc.pauseBot(1)
+                .then(() => proc.processMessage(message, 10))
+                .then(() => {
+                    assert(!reducer.called);
+                    assert(opts.chatLog.log.calledOnce);
+                    assert.deepEqual(opts.chatLog.log.firstCall.args, [[], message]);
+                    assert.strictEqual(stateStorage.model.off, true);
+
+                    return proc.resumeBot(1, 10);
+                })
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert(reducer.firstCall.args[0].isResume());
+                    assert.strictEqual(stateStorage.model.off, false);
+                    assert.strictEqual(stateStorage.model.state.resumed, true);
+                    assert(opts.senderFnFactory.sender.calledOnce);
+                });
+        });
+
+        it('should resume the bot automatically, when the pause expires', function () {
+
+            const reducer = sinon.spy((req, res) => {
+                if (req.isResume()) {
+                    res.setState({ resumed: true });
+                } else {
+                    assert.strictEqual(req.state.resumed, true);
+                }
+            });
+
+            const stateStorage = createStateStorage(EMPTY_STATE, false);
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.pauseBot(1, -1)
+                .then(() => proc.processMessage(Request.text(1, 'Hello'), 10))
+                .then(() => {
+                    assert(reducer.calledTwice);
+                    assert(reducer.firstCall.args[0].isResume());
+                    assert.equal(reducer.secondCall.args[0].text(), 'Hello');
+                    assert.strictEqual(stateStorage.model.off, false);
+                });
+        });
+
         it('invalid messages should be logged', function () {
 
             const reducer = sinon.spy((req, res) => {
@@ -181,6 +425,109 @@ describe('Processor', function () {
             });
         });
 
+        it('should process next messages, when the postback is never resolved', function () {
+
+            const reducer = sinon.spy((req, res, postBack) => {
+                if (req.text() === 'first') {
+                    postBack.wait();
+                }
+            });
+
+            const opts = makeOptions();
+            const proc = new Processor(reducer, opts, new MemoryStateStorage());
+
+            proc.processMessage(Request.text('1', 'first'), 'page');
+
+            return proc.processMessage(Request.text('1', 'second'), 'page')
+                .then(() => {
+                    assert(reducer.calledTwice);
+                    assert.equal(reducer.secondCall.args[0].text(), 'second');
+                });
+        });
+
+        it('should process the postback before the next message of the sender', function () {
+            const order = [];
+            const reducer = sinon.spy((req, res, postBack) => {
+                const name = req.isPostBack() ? 'pb' : req.text();
+                order.push(`start ${name}`);
+
+                return new Promise(r => setTimeout(r, 10))
+                    .then(() => {
+                        res.setState({ counter: (req.state.counter || 0) + 1 });
+                        if (req.text() === 'first') {
+                            postBack('increment');
+                        }
+                        order.push(`end ${name}`);
+                    });
+            });
+
+            const stateStorage = new MemoryStateStorage();
+            const proc = new Processor(reducer, makeOptions(), stateStorage);
+
+            return Promise.all([
+                proc.processMessage(Request.text('1', 'first'), 'page'),
+                proc.processMessage(Request.text('1', 'second'), 'page')
+            ])
+                .then(() => {
+                    assert.deepEqual(order, [
+                        'start first', 'end first', 'start pb', 'end pb', 'start second', 'end second'
+                    ]);
+                    assert.strictEqual(stateStorage.getState('1').state.counter, 3);
+                });
+        });
+
+        it('should queue the deferred postback ahead of the waiting messages', function () {
+            const order = [];
+            let resolvePostBack;
+            const reducer = sinon.spy((req, res, postBack) => {
+                order.push(req.isPostBack() ? 'pb' : req.text());
+                res.setState({ counter: (req.state.counter || 0) + 1 });
+
+                if (req.text() === 'first') {
+                    resolvePostBack = postBack.wait();
+                } else if (req.text() === 'second') {
+                    return new Promise(r => setTimeout(r, 10));
+                }
+                return null;
+            });
+
+            const stateStorage = new MemoryStateStorage();
+            const proc = new Processor(reducer, makeOptions(), stateStorage);
+
+            const first = proc.processMessage(Request.text('1', 'first'), 'page');
+            const second = proc.processMessage(Request.text('1', 'second'), 'page');
+            const third = proc.processMessage(Request.text('1', 'third'), 'page');
+
+            return new Promise(r => setTimeout(r, 5))
+                .then(() => resolvePostBack('deferred'))
+                .then(() => Promise.all([first, second, third]))
+                .then(() => {
+                    assert.deepEqual(order, ['first', 'second', 'pb', 'third']);
+                    assert.strictEqual(stateStorage.getState('1').state.counter, 4);
+                });
+        });
+
+        it('should drop the postbacks, when the processing fails', function () {
+
+            const reducer = sinon.spy((req, res, postBack) => {
+                postBack('next');
+            });
+            const stateStorage = new MemoryStateStorage();
+            stateStorage.saveState({ senderId: '1', state: {} });
+            stateStorage.saveState = () => Promise.reject(new Error('Fail'));
+
+            const opts = makeOptions();
+            opts.log = { error: sinon.spy(), warn: sinon.spy(), log: sinon.spy() };
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.text('1', 'first'), 'page')
+                .then(() => new Promise(r => setTimeout(r, 10)))
+                .then(() => {
+                    assert(reducer.calledOnce);
+                    assert(opts.log.error.calledOnce);
+                });
+        });
+
         it('should work with tokenstorage and wrapper', function () {
 
             const reducer = sinon.spy((req, res) => {
@@ -282,6 +629,153 @@ describe('Processor', function () {
                 });
             });
         });
+
+        it('should render the responses by the channel', function () {
+            const reducer = sinon.spy((req, res) => {
+                res.text('Hello', { yes: 'Yes' });
+            });
+            const transport = transports.memory();
+            const opts = makeOptions();
+            delete opts.senderFnFactory;
+            Object.assign(opts, { channel: new JsonChannel(), transport, chatLog: createLogger() });
+
+            const proc = new Processor(reducer, opts, createStateStorage());
+
+            return proc.processMessage(Request.text('1', 'hi'), 'page')
+                .then(() => new Promise(r => setTimeout(r, 10)))
+                .then(() => {
+                    assert.deepEqual(transport.sent.map(s => s.data), [{
+                        recipientId: '1',
+                        type: 'text',
+                        text: 'Hello',
+                        quickReplies: [{ title: 'Yes', action: 'yes', data: {} }]
+                    }]);
+                    assert.strictEqual(transport.sent[0].token, 'a');
+                });
+        });
+
+        it('should keep separate conversations and tokens of multiple pages', function () {
+            const reducer = sinon.spy((req, res) => {
+                res.setState({ count: (req.state.count || 0) + 1 })
+                    .text(`${req.state.page} ${res.path}`);
+            });
+            const transport = transports.memory();
+            const stateStorage = new MemoryStateStorage();
+            const opts = makeOptions();
+            delete opts.senderFnFactory;
+            Object.assign(opts, {
+                pageToken: null,
+                transport,
+                chatLog: createLogger(),
+                pages: {
+                    p1: { pageToken: 't1', defaultState: { page: 'first' } },
+                    p2: { pageToken: 't2', defaultState: { page: 'second' } }
+                }
+            });
+
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.text('1', 'a'), 'p1')
+                .then(() => proc.processMessage(Request.text('1', 'b'), 'p1'))
+                .then(() => proc.processMessage(Request.text('1', 'c'), 'p2'))
+                .then(() => new Promise(r => setTimeout(r, 10)))
+                .then(() => {
+                    assert.strictEqual(stateStorage.getState('1', {}, 'p1').state.count, 2);
+                    assert.strictEqual(stateStorage.getState('1', {}, 'p2').state.count, 1);
+
+                    assert.deepEqual(transport.sent.map(s => s.token), ['t1', 't1', 't2']);
+                    assert.deepEqual(transport.sent.map(s => s.data.message.text), [
+                        'first ', 'first ', 'second '
+                    ]);
+                });
+        });
+
+        it('should require the pageId, when the Processor serves multiple pages', function () {
+            const stateStorage = new MemoryStateStorage();
+            const opts = makeOptions();
+            opts.log = { error: sinon.spy(), warn: sinon.spy(), log: sinon.spy() };
+            Object.assign(opts, {
+                pageToken: null,
+                pages: { p1: { pageToken: 't1' } }
+            });
+
+            const proc = new Processor(() => {}, opts, stateStorage);
+            const rejected = promise => promise
+                .then(() => assert.fail('should be rejected'), e => e.message);
+
+            return Promise.all([
+                rejected(proc.pauseBot('1')),
+                rejected(proc.resumeBot('1'))
+            ])
+                .then((errors) => {
+                    errors.forEach(message => assert(/Missing pageId/.test(message)));
+
+                    const err = Object.assign(new Error('Disconnected'), { code: 403 });
+                    proc.reportSendError(err, Request.text('1', 'a'));
+                    return new Promise(r => setTimeout(r, 10));
+                })
+                .then(() => {
+                    assert(opts.log.error.calledOnce);
+                    assert.equal(stateStorage.store.size, 0);
+
+                    return proc.pauseBot('1', null, 'p1');
+                })
+                .then(() => {
+                    assert.strictEqual(stateStorage.getState('1', {}, 'p1').off, true);
+                    assert.deepEqual(Array.from(stateStorage.store.keys()), ['p1|1']);
+                });
+        });
+
+        it('should store the account link before the event is processed', function () {
+            const accountLinkStorage = {
+                link: sinon.spy(() => Promise.resolve()),
+                unlink: sinon.spy(() => Promise.resolve())
+            };
+            const reducer = sinon.spy((req) => {
+                assert(req.isAccountLinking());
+            });
+            const opts = makeOptions();
+            Object.assign(opts, { accountLinkStorage });
+
+            const proc = new Processor(reducer, opts, new MemoryStateStorage());
+
+            return proc.processMessage(Request.accountLinking('1', 'linked', 'code'), 'page')
+                .then(() => proc.processMessage(Request.accountLinking('1', 'unlinked'), 'page'))
+                .then(() => {
+                    assert(reducer.calledTwice);
+                    assert.deepEqual(accountLinkStorage.link.firstCall.args, ['1', 'code', 'page']);
+                    assert.deepEqual(accountLinkStorage.unlink.firstCall.args, ['1', 'page']);
+                    assert(accountLinkStorage.link.calledBefore(reducer));
+                });
+        });
+
+        it('should call onError handler and save the state, when the link is not stored', function () {
+            const accountLinkStorage = {
+                link: sinon.spy(() => Promise.reject(new Error('Storage failed')))
+            };
+            const reducer = sinon.spy();
+            const stateStorage = new MemoryStateStorage();
+            const opts = makeOptions();
+            Object.assign(opts, { accountLinkStorage });
+            opts.onError = sinon.spy((err, req, res) => {
+                res.text('Sorry');
+                res.setState({ failed: true });
+            });
+
+            const proc = new Processor(reducer, opts, stateStorage);
+
+            return proc.processMessage(Request.accountLinking('1', 'linked', 'code'), 'page')
+                .then(() => proc.processMessage(Request.accountLinking('1', 'linked', 'code'), 'page'))
+                .then(() => {
+                    assert(!reducer.called);
+                    assert(opts.onError.calledTwice);
+                    assert.equal(opts.onError.firstCall.args[0].message, 'Storage failed');
+
+                    const stateObject = stateStorage.getState('1');
+                    assert.strictEqual(stateObject.state.failed, true);
+                    assert.strictEqual(stateObject.lock, 0);
+                });
+        });
     });
 
 });
@@ -56,6 +56,105 @@ describe('Request', function () {
 
     });
 
+    describe('#isDelivery() / #delivery()', function () {
+
+        it('should know, whats delivery', function () {
+            const req = new Request(Request.delivery(SENDER_ID, 123, ['mid.1']), STATE);
+            assert.strictEqual(req.isDelivery(), true);
+            assert.strictEqual(req.isMessage(), false);
+            assert.strictEqual(req.isLightweight(), true);
+            assert.deepEqual(req.delivery(), { watermark: 123, mids: ['mid.1'] });
+            assert.strictEqual(req.read(), null);
+        });
+
+        it('should not return expected action', function () {
+            const req = new Request(Request.delivery(SENDER_ID, 123), { _expected: ACTION });
+            assert.strictEqual(req.action(), null);
+        });
+
+    });
+
+    describe('#isRead() / #read()', function () {
+
+        it('should know, whats read', function () {
+            const req = new Request(Request.read(SENDER_ID, 123), STATE);
+            assert.strictEqual(req.isRead(), true);
+            assert.strictEqual(req.isDelivery(), false);
+            assert.strictEqual(req.isLightweight(), true);
+            assert.deepEqual(req.read(), { watermark: 123 });
+            assert.strictEqual(req.delivery(), null);
+        });
+
+    });
+
+    describe('#isEcho() / #echo()', function () {
+
+        it('should know, whats echo', function () {
+            const req = new Request(Request.echo('page', SENDER_ID, 'Hello', 'app'), STATE);
+            assert.strictEqual(req.isEcho(), true);
+            assert.strictEqual(req.isMessage(), false);
+            assert.strictEqual(req.isLightweight(), true);
+            assert.strictEqual(req.text(), '');
+            assert.strictEqual(req.echo().text, 'Hello');
+            assert.strictEqual(req.echo().appId, 'app');
+        });
+
+        it('should not be echo, when its a message', function () {
+            const req = new Request(Request.text(SENDER_ID, 'Hello'), STATE);
+            assert.strictEqual(req.isEcho(), false);
+            assert.strictEqual(req.isLightweight(), false);
+            assert.strictEqual(req.echo(), null);
+        });
+
+    });
+
+    describe('#isPassThread() / #isTakeThread() / #isStandby()', function () {
+
+        it('should know, whats pass thread control', function () {
+            const req = new Request(Request.passThread(SENDER_ID, 'app', 'meta'), STATE);
+            assert.strictEqual(req.isPassThread(), true);
+            assert.strictEqual(req.isTakeThread(), false);
+            assert.strictEqual(req.isStandby(), false);
+            assert.deepEqual(req.passThread(), {
+                newOwnerAppId: 'app',
+                previousOwnerAppId: null,
+                metadata: 'meta'
+            });
+        });
+
+        it('should know, whats take thread control and standby', function () {
+            const data = {
+                sender: { id: SENDER_ID },
+                take_thread_control: { previous_owner_app_id: 'app' },
+                standby: true
+            };
+            const req = new Request(data, STATE);
+            assert.strictEqual(req.isPassThread(), false);
+            assert.strictEqual(req.passThread(), null);
+            assert.strictEqual(req.isTakeThread(), true);
+            assert.strictEqual(req.isStandby(), true);
+        });
+
+    });
+
+    describe('#isAccountLinking() / #accountLinking()', function () {
+
+        it('should know, whats account linking', function () {
+            const req = new Request(Request.accountLinking(SENDER_ID, 'linked', 'code'), STATE);
+
+            assert.strictEqual(req.isAccountLinking(), true);
+            assert.deepEqual(req.accountLinking(), { status: 'linked', authorizationCode: 'code' });
+
+            const unlinked = new Request(Request.accountLinking(SENDER_ID, 'unlinked'), STATE);
+            assert.deepEqual(unlinked.accountLinking(), { status: 'unlinked', authorizationCode: null });
+
+            const text = new Request(Request.text(SENDER_ID, 'hi'), STATE);
+            assert.strictEqual(text.isAccountLinking(), false);
+            assert.strictEqual(text.accountLinking(), null);
+        });
+
+    });
+
     describe('#.state', function () {
 
         it('should have state', function () {
@@ -65,6 +164,32 @@ describe('Request', function () {
 
     });
 
+    describe('#locale()', function () {
+
+        it('should prefer the locale chosen by the user', function () {
+            const data = Request.text(SENDER_ID, 'a');
+
+            assert.strictEqual(new Request(data, {}).locale(), null);
+            assert.strictEqual(new Request(data, { user: { locale: 'en_US' } }).locale(), 'en_US');
+            assert.strictEqual(new Request(data, { user: { locale: 'en_US' }, _locale: 'cs_CZ' }).locale(), 'cs_CZ');
+        });
+
+    });
+
+    describe('#email() / #number() / #phone() / #date()', function () {
+
+        it('should parse the text of the message', function () {
+            const req = new Request(Request.text(SENDER_ID, 'a@b.cz, +420 603 123 456, 2017-03-21'), {});
+
+            assert.strictEqual(req.email(), 'a@b.cz');
+            assert.strictEqual(req.phone(), '+420603123456');
+            assert.strictEqual(new Request(Request.text(SENDER_ID, 'I want 2,5 kg'), {}).number(), 2.5);
+            assert.strictEqual(req.date().getDate(), 21);
+            assert.strictEqual(new Request(Request.createPostBack(SENDER_ID, 'a'), {}).email(), null);
+        });
+
+    });
+
     describe('#action()', function () {
 
         it('should return action name from postback', function () {
@@ -127,6 +252,51 @@ describe('Request', function () {
             assert.strictEqual(req.action(), ACTION);
         });
 
+        it('should return action of the expected location, e-mail or phone', function () {
+            const state = {
+                _expectedInput: [
+                    { type: 'location', action: '/here', data: {} },
+                    { type: 'email', action: '/email', data: { a: 1 } }
+                ]
+            };
+
+            let req = new Request(Request.location(SENDER_ID, 50.1, 14.4), state);
+            assert.strictEqual(req.action(), '/here');
+
+            req = new Request(Request.userInput(SENDER_ID, 'john@example.com'), state);
+            assert.strictEqual(req.action(), '/email');
+            assert.deepEqual(req.action(true), { a: 1 });
+
+            req = new Request(Request.text(SENDER_ID, 'no idea'), state);
+            assert.strictEqual(req.action(), null);
+        });
+
+        it('should not use the e-mail or phone quick reply as an action', function () {
+            const state = {
+                _expectedInput: [{ type: 'email', action: '/email', data: {} }]
+            };
+            let req = new Request(
+                Request.userInput(SENDER_ID, '+420 777 123 456'),
+                Object.assign({ _expected: ACTION }, state)
+            );
+            assert.strictEqual(req.action(), ACTION);
+
+            req = new Request(Request.userInput(SENDER_ID, 'not an e-mail'), state);
+            assert.strictEqual(req.action(), null);
+        });
+
+        it('should use the phone-like payload of the quick reply as an action', function () {
+            let req = new Request(Request.userInput(SENDER_ID, '+420 777 123 456'), STATE);
+            assert.strictEqual(req.action(), '+420 777 123 456');
+
+            const state = {
+                _expectedInput: [{ type: 'phone', action: '/phone', data: {} }]
+            };
+            req = new Request(Request.quickReply(SENDER_ID, '123456', { a: 1 }), state);
+            assert.strictEqual(req.action(), '123456');
+            assert.deepEqual(req.action(true), { a: 1 });
+        });
+
     });
 
     describe('#postBack()', function () {
@@ -208,6 +378,27 @@ describe('Request', function () {
 
     });
 
+    describe('#isLocation() / #location()', function () {
+
+        it('should return the location', function () {
+            const req = new Request(Request.location(SENDER_ID, 50.1, 14.4, 'Prague'), STATE);
+
+            assert.strictEqual(req.isLocation(), true);
+            assert.strictEqual(req.isImage(), false);
+            assert.deepEqual(req.location(), {
+                lat: 50.1, long: 14.4, title: 'Prague', url: null
+            });
+        });
+
+        it('should return null, when theres no location', function () {
+            const req = new Request(Request.fileAttachment(SENDER_ID, FILE_URL, 'image'), STATE);
+
+            assert.strictEqual(req.isLocation(), false);
+            assert.strictEqual(req.location(), null);
+        });
+
+    });
+
     describe('#attachmentUrl() / #attachment()', function () {
 
         it('should validate file type', function () {
@@ -87,6 +87,32 @@ describe('Responder', function () {
             ]);
         });
 
+        it('should ask for location, e-mail and phone with quick replies', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            res.path = '/foo';
+
+            res.text('Where are you?', {
+                here: { type: 'location' },
+                mail: { type: 'email', foo: 1 },
+                call: { type: 'phone' },
+                skip: 'Skip'
+            });
+
+            assert.deepEqual(sendFn.firstCall.args[0].message.quick_replies, [
+                { content_type: 'location' },
+                { content_type: 'user_email' },
+                { content_type: 'user_phone_number' },
+                { content_type: 'text', title: '-Skip', payload: '/foo/skip' }
+            ]);
+            assert.deepEqual(res.newState._expectedInput, [
+                { type: 'location', action: '/foo/here', data: {} },
+                { type: 'email', action: '/foo/mail', data: { foo: 1 } },
+                { type: 'phone', action: '/foo/call', data: {} }
+            ]);
+            assert.equal(res.newState._expectedKeywords.length, 1);
+        });
+
         it('should send "typing" and "wait" in case of autoTyping is on', function () {
             const { sendFn, opts } = createAssets();
             opts.autoTyping = true;
@@ -112,6 +138,97 @@ describe('Responder', function () {
 
     });
 
+    describe('validation', function () {
+
+        it('should truncate the text and quick replies', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'truncate';
+            opts.log = { warn: sinon.spy() };
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            const replies = {};
+            for (let i = 0; i < 12; i++) {
+                replies[`reply${i}`] = `Reply number ${i} with long title`;
+            }
+
+            res.text('x'.repeat(700), replies);
+
+            const { message } = sendFn.firstCall.args[0];
+            assert.equal(message.text.length, 640);
+            assert.equal(message.quick_replies.length, 11);
+            assert.equal(message.quick_replies[0].title.length, 20);
+            assert.equal(opts.log.warn.callCount, 14);
+        });
+
+        it('should split long texts and keep quick replies on the last message', function () {
+            const { sendFn, opts } = createAssets();
+            opts.translator = w => w;
+            opts.splitLongTexts = true;
+            opts.autoTyping = true;
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            const paragraph = `${'Lorem ipsum. '.repeat(40)}\n\n`;
+
+            res.text(paragraph.repeat(3), { ok: 'OK' });
+
+            const messages = sendFn.args
+                .map(args => args[0].message)
+                .filter(message => message);
+
+            assert.equal(messages.length, 3);
+            assert(messages.every(message => message.text.length <= 640));
+            assert.strictEqual(messages[0].quick_replies, undefined);
+            assert.equal(messages[2].quick_replies.length, 1);
+            assert.equal(sendFn.args.filter(args => args[0].wait).length, 3);
+        });
+
+        it('should throw, when the template exceeds the limits', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'throw';
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            const template = res.button('Hello')
+                .postBackButton('1', 'a')
+                .postBackButton('2', 'b')
+                .postBackButton('3', 'c')
+                .postBackButton('4', 'd');
+
+            assert.throws(() => template.send(), /Number of buttons/);
+            assert.throws(() => res.genericTemplate().addElement('x'.repeat(81)), /Element title/);
+        });
+
+    });
+
+    describe('#setLocale() / #textWithParams()', function () {
+
+        it('should pass the locale to the translator', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.setLocale('cs_CZ')
+                .text('Hello', { yes: 'Yes' });
+
+            assert.deepEqual(opts.translator.firstCall.args, ['Hello', { locale: 'cs_CZ' }]);
+            assert.deepEqual(opts.translator.secondCall.args, ['Yes', { locale: 'cs_CZ' }]);
+            assert.strictEqual(res.newState._locale, 'cs_CZ');
+        });
+
+        it('should select plural forms and replace named placeholders', function () {
+            const { sendFn, opts } = createAssets();
+            opts.translator = sinon.spy(w => (w === 'More'
+                ? 'Více'
+                : '{name} má {count} jablko|{name} má {count} jablka|{name} má {count} jablek'));
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            res.locale = 'cs_CZ';
+
+            res.textWithParams('{name} has one apple|{name} has {count} apples', { count: 3, name: 'Jan' }, {
+                more: 'More'
+            });
+
+            assert.equal(sendFn.firstCall.args[0].message.text, 'Jan má 3 jablka');
+            assert.deepEqual(opts.translator.firstCall.args[1], { locale: 'cs_CZ', count: 3 });
+            assert.equal(sendFn.firstCall.args[0].message.quick_replies.length, 1);
+        });
+
+    });
+
     describe('#image()', function () {
 
         it('should send image url with base path', function () {
@@ -144,6 +261,33 @@ describe('Responder', function () {
 
     });
 
+    describe('#audio() / #video() / #file()', function () {
+
+        it('should send attachments with base path and reusable flag', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            assert.strictEqual(res.audio('/a.mp3', true), res, 'should return self');
+            res.video('http://goo.gl/v.mp4')
+                .file('/menu.pdf');
+
+            assert.equal(sendFn.callCount, 3);
+            assert.deepEqual(sendFn.getCall(0).args[0].message.attachment, {
+                type: 'audio',
+                payload: { url: `${APP_URL}/a.mp3`, is_reusable: true }
+            });
+            assert.deepEqual(sendFn.getCall(1).args[0].message.attachment, {
+                type: 'video',
+                payload: { url: 'http://goo.gl/v.mp4' }
+            });
+            assert.deepEqual(sendFn.getCall(2).args[0].message.attachment, {
+                type: 'file',
+                payload: { url: `${APP_URL}/menu.pdf` }
+            });
+        });
+
+    });
+
     describe('#button()', function () {
 
         it('should send message with url', function () {
@@ -179,6 +323,52 @@ describe('Responder', function () {
             assert(opts.translator.calledThrice);
         });
 
+        it('should add the token to the account linking url', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.button('Log in')
+                .accountLinkButton('/login?from=bot', true)
+                .send();
+
+            const { buttons } = sendFn.firstCall.args[0].message.attachment.payload;
+            assert.equal(buttons[0].url, `${APP_URL}/login?from=bot#token=t&senderId=123`);
+        });
+
+        it('should send call, share, account linking and buy buttons', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            const summary = { currency: 'USD', price_list: [] };
+
+            res.button('Hello')
+                .phoneButton('Call', '+420123456789')
+                .shareButton()
+                .accountLinkButton('/login')
+                .send();
+
+            res.genericTemplate()
+                .addElement('Item')
+                    .accountUnlinkButton()
+                    .buyButton(summary, 'paid', { id: 1 })
+                .send();
+
+            assert.deepEqual(sendFn.firstCall.args[0].message.attachment.payload.buttons, [
+                { type: 'phone_number', title: '-Call', payload: '+420123456789' },
+                { type: 'element_share' },
+                { type: 'account_link', url: `${APP_URL}/login` }
+            ]);
+            const { elements } = sendFn.secondCall.args[0].message.attachment.payload;
+            assert.deepEqual(elements[0].buttons, [
+                { type: 'account_unlink' },
+                {
+                    type: 'payment',
+                    title: 'buy',
+                    payload: '{"action":"paid","data":{"id":1}}',
+                    payment_summary: summary
+                }
+            ]);
+        });
+
     });
 
     describe('#receipt()', function () {
@@ -227,7 +417,7 @@ describe('Responder', function () {
                 .addElement('another', null, true)
                     .setElementImage('https://goo.gl/image.png')
                     .setElementAction('/localUrl', true)
-                    .urlButton('Local link with extension', '/local/path', true, 'compact')
+                    .urlButton('Local extension', '/local/path', true, 'compact')
                 .send();
 
             assert(sendFn.calledOnce);
@@ -264,6 +454,157 @@ describe('Responder', function () {
 
     });
 
+    describe('#listTemplate()', function () {
+
+        it('should send message with list template', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.setPath('/path');
+
+            res.listTemplate('compact')
+                .addElement('title', 'subtitle')
+                    .setElementImage('/local.png')
+                    .postBackButton('Button title', 'action')
+                .addElement('another')
+                .viewMoreButton('More', 'more', { page: 2 })
+                .send();
+
+            const { payload } = sendFn.firstCall.args[0].message.attachment;
+            assert.equal(payload.template_type, 'list');
+            assert.equal(payload.top_element_style, 'compact');
+            assert.equal(payload.elements.length, 2);
+            assert.equal(payload.elements[0].title, '-title');
+            assert.equal(payload.elements[0].image_url, `${APP_URL}/local.png`);
+            assert.equal(payload.elements[0].buttons.length, 1);
+            assert.strictEqual(payload.elements[1].buttons, undefined);
+            assert.deepEqual(payload.buttons, [{
+                type: 'postback',
+                title: '-More',
+                payload: '{"action":"/path/more","data":{"page":2}}'
+            }]);
+        });
+
+        it('should not allow more then 4 elements', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'throw';
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            const list = res.listTemplate()
+                .addElement('1')
+                .addElement('2')
+                .addElement('3')
+                .addElement('4')
+                .addElement('5');
+
+            assert.throws(() => list.send(), /Number of list elements/);
+        });
+
+        it('should truncate the elements in the truncate mode', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'truncate';
+            opts.log = { warn: sinon.spy() };
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.listTemplate()
+                .addElement('1')
+                .addElement('2')
+                .addElement('3')
+                .addElement('4')
+                .addElement('5')
+                .send();
+
+            const { payload } = sendFn.firstCall.args[0].message.attachment;
+            assert.equal(payload.elements.length, 4);
+            assert(opts.log.warn.calledOnce);
+        });
+
+        it('should allow only one button of the element', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'throw';
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            assert.throws(() => res.listTemplate()
+                .addElement('1')
+                .postBackButton('a', 'a')
+                .postBackButton('b', 'b')
+                .addElement('2')
+                .send(), /Number of list element buttons/);
+
+            opts.validation = 'truncate';
+            opts.log = { warn: sinon.spy() };
+            const lenient = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            lenient.listTemplate()
+                .addElement('1')
+                .postBackButton('a', 'a')
+                .postBackButton('b', 'b')
+                .addElement('2')
+                .send();
+
+            const { payload } = sendFn.firstCall.args[0].message.attachment;
+            assert.equal(payload.elements[0].buttons.length, 1);
+            assert.equal(payload.elements[0].buttons[0].title, '-a');
+            assert(opts.log.warn.calledOnce);
+        });
+
+        it('should require at least 2 elements', function () {
+            const { sendFn, opts } = createAssets();
+            opts.validation = 'throw';
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            assert.throws(() => res.listTemplate().addElement('1').send(), /at least 2 elements/);
+
+            opts.validation = 'truncate';
+            opts.log = { warn: sinon.spy() };
+            const lenient = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+            lenient.listTemplate().addElement('1').send();
+
+            assert(opts.log.warn.calledOnce);
+            assert(sendFn.calledOnce);
+        });
+
+    });
+
+    describe('#mediaTemplate()', function () {
+
+        it('should send image by url or video by attachment id', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.mediaTemplate('image', '/local.png')
+                .postBackButton('Button title', 'action')
+                .send();
+
+            res.mediaTemplate()
+                .setAttachment('video', 1234)
+                .send();
+
+            assert.deepEqual(sendFn.firstCall.args[0].message.attachment.payload, {
+                template_type: 'media',
+                elements: [{
+                    media_type: 'image',
+                    url: `${APP_URL}/local.png`,
+                    buttons: [{
+                        type: 'postback',
+                        title: '-Button title',
+                        payload: '{"action":"action","data":{}}'
+                    }]
+                }]
+            });
+            assert.deepEqual(sendFn.secondCall.args[0].message.attachment.payload, {
+                template_type: 'media',
+                elements: [{ media_type: 'video', attachment_id: '1234' }]
+            });
+        });
+
+        it('should require the media', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            assert.throws(() => res.mediaTemplate().send());
+        });
+
+    });
+
     describe('#expected()', function () {
 
         it('should set state to absolute expected value', function () {
@@ -302,6 +643,30 @@ describe('Responder', function () {
     });
 
 
+    describe('#passThreadControl() / #takeThreadControl()', function () {
+
+        it('should pass and take the thread control', function () {
+            const { sendFn, opts } = createAssets();
+            const res = new Responder(false, SENDER_ID, sendFn, TOKEN, opts);
+
+            res.passThreadControl('123', { reason: 'help' })
+                .takeThreadControl('back');
+
+            assert(sendFn.calledTwice);
+            assert.deepStrictEqual(sendFn.firstCall.args[0], {
+                recipient: { id: SENDER_ID },
+                target_app_id: '123',
+                metadata: '{"reason":"help"}'
+            });
+            assert.deepStrictEqual(sendFn.secondCall.args[0], {
+                recipient: { id: SENDER_ID },
+                take_thread_control: true,
+                metadata: 'back'
+            });
+        });
+
+    });
+
     describe('#wait()', function () {
 
         it('creates wait action', function () {
@@ -135,6 +135,197 @@ describe('Router', function () {
             fourth.calledBefore(last);
         });
 
+        it('should route lightweight events with matchers', function () {
+            const router = new Router();
+
+            const route = sinon.spy();
+            const noRoute = sinon.spy();
+            const req = createMockReq('', null);
+            const res = createMockRes();
+
+            req.isDelivery = () => false;
+            req.isRead = () => true;
+            req.isEcho = () => false;
+
+            router.use(Router.delivery, noRoute);
+            router.use(Router.echo, noRoute);
+            router.use(Router.read, route);
+            router.use(noRoute);
+
+            router.reduce(req, res);
+
+            assert(!noRoute.called, 'route should not be called');
+            shouldBeCalled(route, req, res);
+        });
+
+        it('should route linked and unlinked accounts with matchers', function () {
+            const router = new Router();
+
+            const route = sinon.spy();
+            const noRoute = sinon.spy();
+            const req = createMockReq('', null);
+            const res = createMockRes();
+
+            req.isAccountLinking = () => true;
+            req.accountLinking = () => ({ status: 'unlinked', authorizationCode: null });
+
+            router.use(Router.accountLinked, noRoute);
+            router.use(Router.accountUnlinked, route);
+            router.use(noRoute);
+
+            router.reduce(req, res);
+
+            assert(!noRoute.called, 'route should not be called');
+            shouldBeCalled(route, req, res);
+        });
+
+        it('should route to strict parser matchers only when the value parses', function () {
+            const router = new Router();
+
+            const route = sinon.spy();
+            const fallback = sinon.spy();
+            const noRoute = sinon.spy();
+
+            router.use('/other', Router.parses('email'), noRoute);
+            router.use('/email', Router.parses('email'), route);
+            router.use('/email', fallback);
+
+            const req = createMockReq('my mail is a@b.cz', '/email');
+            req.email = () => 'a@b.cz';
+            router.reduce(req, createMockRes());
+
+            const badReq = createMockReq('no mail', '/email');
+            badReq.email = () => null;
+            router.reduce(badReq, createMockRes());
+
+            assert(!noRoute.called, 'route should not be called');
+            assert(route.calledOnce);
+            assert.strictEqual(route.firstCall.args[0], req);
+            assert(fallback.calledOnce);
+            assert.strictEqual(fallback.firstCall.args[0], badReq);
+            assert.throws(() => Router.parses('foo'), /Unknown parser: foo/);
+        });
+
+        it('should wait for asynchronous handlers', function () {
+            const router = new Router();
+
+            const order = [];
+            const first = sinon.spy((req, res, postBack, next) => nextTick()
+                .then(() => {
+                    order.push('first');
+                    next();
+                }));
+            const second = sinon.spy(() => {
+                order.push('second');
+            });
+            const noRoute = sinon.spy();
+            const req = createMockReq();
+            const res = createMockRes();
+
+            router.use(first);
+            router.use(second);
+            router.use(noRoute);
+
+            const result = router.reduce(req, res);
+
+            assert(!second.called, 'second route should wait for the first one');
+
+            return result
+                .then(() => {
+                    shouldBeCalled(first, req, res);
+                    shouldBeCalled(second, req, res);
+                    assert(!noRoute.called, 'route should not be called');
+                    assert.deepEqual(order, ['first', 'second']);
+                });
+        });
+
+        it('should stop, when asynchronous handler does not call next', function () {
+            const router = new Router();
+
+            const route = sinon.spy(() => nextTick());
+            const noRoute = sinon.spy();
+            const req = createMockReq();
+            const res = createMockRes();
+
+            router.use(route);
+            router.use(noRoute);
+
+            return router.reduce(req, res)
+                .then(() => {
+                    shouldBeCalled(route, req, res);
+                    assert(!noRoute.called, 'route should not be called');
+                });
+        });
+
+    });
+
+    describe('error handlers', function () {
+
+        it('should pass thrown errors to the error handler', function () {
+            const router = new Router();
+
+            const err = new Error('Fail');
+            const route = sinon.spy(() => { throw err; });
+            const noRoute = sinon.spy();
+            const errorHandler = sinon.spy((e, req, res, postBack, next) => {}); // eslint-disable-line
+            const req = createMockReq();
+            const res = createMockRes();
+
+            router.use(errorHandler);
+            router.use(route);
+            router.use(noRoute);
+            router.use(errorHandler);
+
+            router.reduce(req, res);
+
+            assert(!noRoute.called, 'route should not be called');
+            assert(errorHandler.calledOnce);
+            assert.strictEqual(errorHandler.firstCall.args[0], err);
+            assert.strictEqual(errorHandler.firstCall.args[1], req);
+            assert.strictEqual(errorHandler.firstCall.args[2], res);
+        });
+
+        it('should bubble rejections from nested routers up to the next error handler', function () {
+            const err = new Error('Fail');
+            const route = sinon.spy(() => Promise.reject(err));
+            const passingHandler = sinon.spy((e, req, res, postBack, next) => next());
+            const errorHandler = sinon.spy((e, req, res, postBack, next) => {}); // eslint-disable-line
+            const noRoute = sinon.spy();
+            const req = createMockReq('', '/nested/inner');
+            const res = createMockRes();
+
+            const router = new Router();
+            const nestedRouter = new Router();
+
+            nestedRouter.use('/inner', route);
+            nestedRouter.use(passingHandler);
+
+            router.use('/nested', nestedRouter);
+            router.use(noRoute);
+            router.use(errorHandler);
+
+            return router.reduce(req, res)
+                .then(() => {
+                    assert(!noRoute.called, 'route should not be called');
+                    assert(passingHandler.calledOnce);
+                    assert(errorHandler.calledOnce);
+                    assert(passingHandler.calledBefore(errorHandler));
+                    assert.strictEqual(errorHandler.firstCall.args[0], err);
+                });
+        });
+
+        it('should throw the error, when theres no error handler', function () {
+            const router = new Router();
+
+            const err = new Error('Fail');
+            const req = createMockReq();
+            const res = createMockRes();
+
+            router.use(() => { throw err; });
+
+            assert.throws(() => router.reduce(req, res), /Fail/);
+        });
+
     });
 
     describe('#use()', function () {
@@ -195,6 +386,59 @@ describe('Router', function () {
             assert(globalNext.called);
         });
 
+        it('should wait for asynchronous nested routers and exit actions', function () {
+            const route = sinon.spy((req, res, postBack, next) => nextTick()
+                .then(() => next('exit')));
+            const exit = sinon.spy((data, req, res, postBack, next) => nextTick()
+                .then(() => next('globalAction', { a: 1 })));
+            const noRoute = sinon.spy();
+            const globalNext = sinon.spy();
+
+            const req = createMockReq('', '/nested/inner');
+            const res = createMockRes();
+
+            const router = new Router();
+            const nestedRouter = new Router();
+
+            nestedRouter.use('/inner', route)
+                .next('exit', exit);
+
+            router.use('/nested', nestedRouter);
+            router.use('/', noRoute);
+
+            return router.reduce(req, res, () => {}, globalNext)
+                .then(() => {
+                    shouldBeCalled(route, req, res);
+                    assert(exit.calledOnce);
+                    assert(!noRoute.called, 'route should not be called');
+                    assert(globalNext.calledOnce);
+                    assert.deepEqual(globalNext.firstCall.args, ['globalAction', { a: 1 }]);
+                });
+        });
+
+        it('should expose route parameters of nested routers', function () {
+            const route = sinon.spy();
+            const noRoute = sinon.spy();
+            const req = createMockReq('', '/order/123/item/a%20b');
+            const res = createMockRes();
+
+            const router = new Router();
+            const nestedRouter = new Router();
+
+            nestedRouter.use('/item/:itemId', route);
+
+            router.use('/order/:orderId/detail', noRoute);
+            router.use('/order/:orderId', nestedRouter);
+            router.use(noRoute);
+
+            router.reduce(req, res);
+
+            assert(!noRoute.called, 'route should not be called');
+            shouldBeCalled(route, req, res);
+            assert.deepEqual(req.params, { orderId: '123', itemId: 'a b' });
+            assert.strictEqual(res.path, '/order/123');
+        });
+
         it('should pass expected actions to nested routers', function () {
             const route = sinon.spy((req, res, postBack, next) => next());
             const noRoute = sinon.spy();
@@ -194,4 +194,27 @@ describe('SecurityMiddleware', function () {
 
     });
 
+    describe('#verifyToken()', function () {
+
+        it('should verify the token of the sender', function () {
+            const tokenStorage = createFakeTokenStorage();
+            const secure = new SecurityMiddleware(APP_SECRET, tokenStorage);
+
+            return secure.verifyToken(TEST_TOKEN, '1')
+                .then((token) => {
+                    assert.deepEqual(token, TOKEN_OBJECT);
+                    assert.deepEqual(tokenStorage.findByToken.firstCall.args, [TEST_TOKEN, '1']);
+                });
+        });
+
+        it('should throw an error, when the token is missing or unknown', function (done) {
+            const secure = new SecurityMiddleware(APP_SECRET, createFakeTokenStorage(null));
+
+            secure.verifyToken(undefined, '1')
+                .catch(() => secure.verifyToken(TEST_TOKEN, '1'))
+                .catch(assertNiceError(done));
+        });
+
+    });
+
 });
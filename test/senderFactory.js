@@ -3,12 +3,22 @@
  */
 'use strict';
 
+const assert = require('assert');
 const sinon = require('sinon');
-const { senderFactory } = require('../src/senderFactory');
+const { senderFactory, isRetryableError } = require('../src/senderFactory');
 
 const TOKEN = 'a';
 const INPUT_MESSAGE = { sender: { id: '1' } };
 
+function graphError (statusCode, code) {
+    const err = new Error('Graph API error');
+    err.response = {
+        statusCode,
+        body: { error: { code, message: 'Graph API error' } }
+    };
+    return err;
+}
+
 function createLogger () {
     return {
         error: sinon.spy(),
@@ -42,4 +52,66 @@ describe('senderFactory()', function () {
 
     });
 
+    it('should retry temporary errors and continue with the queue', function () {
+        const logger = createLogger();
+        let calls = 0;
+        const senderFn = sinon.spy(() => {
+            calls++;
+            if (calls === 1) {
+                return Promise.reject(graphError(400, 613));
+            }
+            return Promise.resolve({ recipient_id: '1' });
+        });
+        const retry = { retries: 2, minTimeout: 1, jitter: false };
+        const factory = senderFactory(TOKEN, logger, () => {}, senderFn, retry);
+        const sender = factory(INPUT_MESSAGE);
+
+        sender({ message: { text: 'first' } });
+        sender({ message: { text: 'second' } });
+
+        return new Promise(r => setTimeout(r, 50))
+            .then(() => {
+                assert.equal(senderFn.callCount, 3);
+                assert.deepEqual(senderFn.secondCall.args[0], { message: { text: 'first' } });
+                assert.deepEqual(senderFn.thirdCall.args[0], { message: { text: 'second' } });
+                assert(logger.log.calledOnce);
+                assert(!logger.error.called);
+            });
+    });
+
+    it('should not retry permanent errors', function () {
+        const logger = createLogger();
+        const senderFn = sinon.spy(() => Promise.reject(graphError(403, 200)));
+        const onSenderError = sinon.spy(() => true);
+        const retry = { retries: 2, minTimeout: 1 };
+        const factory = senderFactory(TOKEN, logger, onSenderError, senderFn, retry);
+        const sender = factory(INPUT_MESSAGE);
+
+        sender({ message: { text: 'first' } });
+        sender({ message: { text: 'second' } });
+
+        return new Promise(r => setTimeout(r, 20))
+            .then(() => {
+                assert(senderFn.calledOnce);
+                assert(onSenderError.calledOnce);
+                assert.strictEqual(onSenderError.firstCall.args[0].code, 403);
+                assert(!logger.error.called);
+            });
+    });
+
+    describe('isRetryableError()', function () {
+
+        it('should detect temporary errors', function () {
+            assert.strictEqual(isRetryableError(graphError(400, 4)), true);
+            assert.strictEqual(isRetryableError(graphError(400, 1200)), true);
+            assert.strictEqual(isRetryableError(graphError(400, 100)), false);
+            assert.strictEqual(isRetryableError(graphError(403, 200)), false);
+            assert.strictEqual(isRetryableError({ response: { statusCode: 502 } }), true);
+            assert.strictEqual(isRetryableError({ cause: { code: 'ETIMEDOUT' } }), true);
+            assert.strictEqual(isRetryableError(new Error('Other')), false);
+            assert.strictEqual(isRetryableError(null), false);
+        });
+
+    });
+
 });
@@ -0,0 +1,163 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const Settings = require('../src/Settings');
+
+const CURRENT = {
+    greeting: [{ locale: 'default', text: 'Hello' }],
+    get_started: { payload: '/start' },
+    whitelisted_domains: ['https://example.com/'],
+    persistent_menu: [{ locale: 'default', call_to_actions: [] }]
+};
+
+function createSettings (current = CURRENT) {
+    const log = { error: sinon.spy(), log: sinon.spy() };
+    const settings = new Settings('token', log);
+
+    sinon.stub(settings, '_request', (method) => {
+        if (method === 'GET') {
+            return Promise.resolve({ data: [current] });
+        }
+        return Promise.resolve({ result: 'success' });
+    });
+
+    return settings;
+}
+
+describe('Settings', function () {
+
+    describe('#sync()', function () {
+
+        it('should apply only changed fields', function () {
+            const settings = createSettings();
+
+            return settings.sync({
+                greeting: [{ text: 'Hi', locale: 'default' }],
+                get_started: { payload: '/start' },
+                whitelisted_domains: ['https://example.com'],
+                persistent_menu: null,
+                home_url: null
+            })
+                .then((report) => {
+                    assert.deepEqual(settings._request.firstCall.args, [
+                        'GET', null, { fields: 'greeting,get_started,whitelisted_domains,persistent_menu,home_url' }
+                    ]);
+                    assert.strictEqual(settings._request.callCount, 3);
+                    assert.deepEqual(settings._request.secondCall.args, [
+                        'POST', { greeting: [{ text: 'Hi', locale: 'default' }] }
+                    ]);
+                    assert.deepEqual(settings._request.thirdCall.args, [
+                        'DELETE', { fields: ['persistent_menu'] }
+                    ]);
+
+                    assert.deepEqual(report.changes.map(c => `${c.action} ${c.field}`), [
+                        'set greeting',
+                        'delete persistent_menu'
+                    ]);
+                    assert.deepEqual(report.unchanged, ['get_started', 'whitelisted_domains', 'home_url']);
+                    assert.strictEqual(report.applied, true);
+                });
+        });
+
+        it('should only print the diff in dry run mode', function () {
+            const settings = createSettings({});
+
+            return settings.sync({ get_started: { payload: '/start' } }, { dryRun: true })
+                .then((report) => {
+                    assert(settings._request.calledOnce);
+                    assert.strictEqual(report.applied, false);
+                    assert(settings.log.log.calledWith('~ get_started: null -> {"payload":"/start"}'));
+                });
+        });
+
+        it('should print the dry run using the info method or fail', function () {
+            const settings = createSettings({});
+            settings.log = { error: sinon.spy(), info: sinon.spy() };
+
+            return settings.sync({ get_started: { payload: '/start' } }, { dryRun: true })
+                .then(() => {
+                    assert(settings.log.info.calledWith('~ get_started: null -> {"payload":"/start"}'));
+
+                    settings.log = { error: sinon.spy(), warn: sinon.spy() };
+                    return settings.sync({ get_started: { payload: '/start' } }, { dryRun: true });
+                })
+                .then(() => assert.fail('should be rejected'), (e) => {
+                    assert(/`log` or `info` method/.test(e.message));
+                });
+        });
+
+        it('should not send anything, when the profile is up to date', function () {
+            const settings = createSettings();
+
+            return settings.sync({ get_started: { payload: '/start' } })
+                .then((report) => {
+                    assert(settings._request.calledOnce);
+                    assert.deepEqual(report.changes, []);
+                    assert.strictEqual(report.applied, false);
+                });
+        });
+
+    });
+
+    describe('#greeting() / #menu()', function () {
+
+        it('should submit localized entries together', function () {
+            const settings = createSettings();
+            const translator = (text, { locale }) => `${text}-${locale}`;
+
+            settings.greeting({ default: 'Hello', cs_CZ: 'Ahoj' })
+                .greeting('Hi', ['de_DE'], translator)
+                .menu('cs_CZ', true)
+                .addPostBack('Start', '/start')
+                .done()
+                .menu(['default', 'de_DE'], false, translator)
+                .addNested('More')
+                .addPostBack('Help', '/help')
+                .done()
+                .done();
+
+            return Promise.resolve()
+                .then(() => {
+                    assert(settings._request.calledOnce);
+
+                    const [method, data] = settings._request.firstCall.args;
+                    assert.strictEqual(method, 'POST');
+                    assert.deepEqual(data.greeting, [
+                        { locale: 'default', text: 'Hello' },
+                        { locale: 'cs_CZ', text: 'Ahoj' },
+                        { locale: 'de_DE', text: 'Hi-de_DE' }
+                    ]);
+                    assert.deepEqual(data.persistent_menu.map(m => m.locale), ['cs_CZ', 'default', 'de_DE']);
+                    assert.strictEqual(data.persistent_menu[0].composer_input_disabled, true);
+                    assert.strictEqual(data.persistent_menu[0].call_to_actions[0].title, 'Start');
+
+                    const nested = data.persistent_menu[2].call_to_actions[0];
+                    assert.strictEqual(nested.title, 'More-de_DE');
+                    assert.strictEqual(nested.call_to_actions[0].title, 'Help-de_DE');
+                });
+        });
+
+        it('should limit the menu titles after the translation', function () {
+            const settings = createSettings();
+            const translator = sinon.spy(() => 'Start');
+
+            settings.menu('default', false, translator)
+                .addPostBack('menu.theVeryLongTranslationKeyOfTheTitle', '/start')
+                .done();
+
+            return Promise.resolve()
+                .then(() => {
+                    assert(translator.calledWith('menu.theVeryLongTranslationKeyOfTheTitle'));
+
+                    const [, data] = settings._request.firstCall.args;
+                    assert.strictEqual(data.persistent_menu[0].call_to_actions[0].title, 'Start');
+                });
+        });
+
+    });
+
+});
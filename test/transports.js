@@ -0,0 +1,168 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const transports = require('../src/transports');
+const MemoryAttachmentCache = require('../src/MemoryAttachmentCache');
+
+const MESSAGE = { recipient: { id: '1' }, message: { text: 'Hello' } };
+
+const ATTACHMENT = {
+    recipient: { id: '1' },
+    message: {
+        attachment: { type: 'image', payload: { url: 'http://a.b/c.png', is_reusable: true } }
+    }
+};
+
+describe('transports', function () {
+
+    describe('#getEndpoint()', function () {
+
+        it('should select the endpoint by the payload', function () {
+            assert.strictEqual(transports.getEndpoint(MESSAGE).endpoint, 'messages');
+            assert.strictEqual(transports.getEndpoint({ target_app_id: 1 }).endpoint, 'pass_thread_control');
+
+            const { endpoint, body } = transports.getEndpoint({ take_thread_control: true, metadata: 'a' });
+            assert.strictEqual(endpoint, 'take_thread_control');
+            assert.deepEqual(body, { metadata: 'a' });
+        });
+
+    });
+
+    describe('#withAttachmentCache()', function () {
+
+        it('should upload the reusable attachment only once', function () {
+            const cache = new MemoryAttachmentCache();
+            const transport = sinon.spy(() => Promise.resolve({ attachment_id: '123' }));
+            const cached = transports.withAttachmentCache(transport, cache);
+            const attachment = {
+                recipient: { id: '1' },
+                message: {
+                    attachment: { type: 'image', payload: { url: 'http://a.b/c.png', is_reusable: true } }
+                }
+            };
+
+            return cached(attachment, 'token')
+                .then(() => cached(attachment, 'token'))
+                .then(() => cached(MESSAGE, 'token'))
+                .then(() => {
+                    assert.equal(transport.callCount, 3);
+                    assert.deepEqual(transport.getCall(0).args[0], attachment);
+                    assert.deepEqual(transport.getCall(1).args[0].message.attachment, {
+                        type: 'image',
+                        payload: { attachment_id: '123' }
+                    });
+                    assert.deepEqual(transport.getCall(2).args[0], MESSAGE);
+                    assert.deepEqual(Array.from(cache.store.values()), ['123']);
+                });
+        });
+
+        it('should not share the attachment ids between pages', function () {
+            const cache = new MemoryAttachmentCache();
+            let counter = 0;
+            const transport = sinon.spy(() => Promise.resolve({ attachment_id: `${++counter}` }));
+            const cached = transports.withAttachmentCache(transport, cache);
+
+            return cached(ATTACHMENT, 'tokenA')
+                .then(() => cached(ATTACHMENT, 'tokenB'))
+                .then(() => cached(ATTACHMENT, 'tokenA'))
+                .then(() => cached(ATTACHMENT, 'tokenB'))
+                .then(() => {
+                    assert.equal(transport.callCount, 4);
+                    assert.deepEqual(transport.getCall(0).args[0], ATTACHMENT);
+                    assert.deepEqual(transport.getCall(1).args[0], ATTACHMENT);
+                    assert.deepEqual(transport.getCall(2).args, [{
+                        recipient: { id: '1' },
+                        message: { attachment: { type: 'image', payload: { attachment_id: '1' } } }
+                    }, 'tokenA']);
+                    assert.deepEqual(transport.getCall(3).args[0].message.attachment.payload, {
+                        attachment_id: '2'
+                    });
+                    assert(Array.from(cache.store.keys()).every(key => key.indexOf('token') === -1));
+                });
+        });
+
+        it('should resolve the sent message, when the cache fails', function () {
+            const cache = {
+                findAttachmentByUrl: () => Promise.resolve(null),
+                saveAttachmentId: () => Promise.reject(new Error('Cache failed'))
+            };
+            const log = { error: sinon.spy() };
+            const transport = sinon.spy(() => Promise.resolve({ attachment_id: '123' }));
+            const cached = transports.withAttachmentCache(transport, cache, log);
+
+            return cached(ATTACHMENT, 'token')
+                .then((res) => {
+                    assert.deepEqual(res, { attachment_id: '123' });
+                    assert(transport.calledOnce);
+                    assert(log.error.calledOnce);
+                });
+        });
+
+    });
+
+    describe('#memory()', function () {
+
+        it('should store the payloads', function () {
+            const transport = transports.memory();
+
+            return transport(MESSAGE, 'token')
+                .then((res) => {
+                    assert.deepEqual(res, { recipient_id: '1', message_id: 'mid.local.1' });
+                    assert.deepEqual(transport.sent, [{ data: MESSAGE, token: 'token' }]);
+
+                    transport.clear();
+                    assert.deepEqual(transport.sent, []);
+                });
+        });
+
+    });
+
+    describe('#console()', function () {
+
+        it('should print readable output and JSON lines', function () {
+            const lines = [];
+            const stream = { write: line => lines.push(line) };
+            const pretty = transports.console({ stream });
+            const jsonl = transports.console({ stream, jsonl: true });
+
+            return Promise.all([
+                pretty(MESSAGE),
+                pretty({ recipient: { id: '1' }, sender_action: 'typing_on' }),
+                jsonl(MESSAGE)
+            ])
+                .then(() => {
+                    assert.deepEqual(lines, [
+                        '[1] Hello\n',
+                        '[1] (typing_on)\n',
+                        `${JSON.stringify(MESSAGE)}\n`
+                    ]);
+                });
+        });
+
+    });
+
+    describe('#file()', function () {
+
+        it('should append the payloads to the file', function () {
+            const filePath = path.join(os.tmpdir(), `transport-${Date.now()}.jsonl`);
+            const transport = transports.file(filePath);
+
+            return transport(MESSAGE)
+                .then(() => transport(MESSAGE))
+                .then(() => {
+                    const content = fs.readFileSync(filePath, 'utf8');
+                    fs.unlinkSync(filePath);
+                    assert.strictEqual(content, `${JSON.stringify(MESSAGE)}\n${JSON.stringify(MESSAGE)}\n`);
+                });
+        });
+
+    });
+
+});
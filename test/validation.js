@@ -0,0 +1,82 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const {
+    limit, payloadLimit, defaultMode, splitText, LIMITS
+} = require('../src/validation');
+
+describe('validation', function () {
+
+    describe('#limit()', function () {
+
+        it('should keep values within the limit', function () {
+            assert.strictEqual(limit('abc', 3, 'Text'), 'abc');
+            assert.deepEqual(limit([1, 2], 3, 'List'), [1, 2]);
+            assert.strictEqual(limit(null, 3, 'Text'), null);
+        });
+
+        it('should throw an error in the throw mode', function () {
+            assert.throws(() => limit('abcd', 3, 'Text', { validation: 'throw' }), /Text exceeds/);
+        });
+
+        it('should truncate the values with warning in the truncate mode', function () {
+            const log = { warn: sinon.spy() };
+            const options = { validation: 'truncate', log };
+
+            assert.strictEqual(limit('abcd', 3, 'Text', options), 'ab…');
+            assert.deepEqual(limit([1, 2, 3, 4], 3, 'List', options), [1, 2, 3]);
+            assert.equal(log.warn.callCount, 2);
+        });
+
+    });
+
+    describe('#payloadLimit()', function () {
+
+        it('should report too long payloads', function () {
+            const log = { warn: sinon.spy() };
+            const payload = 'x'.repeat(LIMITS.payload + 1);
+
+            assert.throws(() => payloadLimit(payload, { validation: 'throw' }));
+            assert.strictEqual(payloadLimit(payload, { validation: 'truncate', log }), payload);
+            assert(log.warn.calledOnce);
+        });
+
+    });
+
+    describe('#splitText()', function () {
+
+        it('should split the text at paragraphs, sentences and words', function () {
+            assert.deepEqual(splitText('Short text', 20), ['Short text']);
+            assert.deepEqual(splitText('First part.\n\nSecond. Part two', 20), ['First part.', 'Second. Part two']);
+            assert.deepEqual(splitText('One sentence. Another sentence', 20), ['One sentence.', 'Another sentence']);
+            assert.deepEqual(splitText('Some words without any dots', 20), ['Some words without', 'any dots']);
+            assert.deepEqual(splitText('x'.repeat(25), 20), ['x'.repeat(20), 'x'.repeat(5)]);
+        });
+
+    });
+
+    describe('#defaultMode()', function () {
+
+        it('should truncate only in production', function () {
+            const env = process.env.NODE_ENV;
+
+            process.env.NODE_ENV = 'production';
+            assert.strictEqual(defaultMode(), 'truncate');
+
+            process.env.NODE_ENV = 'development';
+            assert.strictEqual(defaultMode(), 'throw');
+
+            if (env === undefined) {
+                delete process.env.NODE_ENV;
+            } else {
+                process.env.NODE_ENV = env;
+            }
+        });
+
+    });
+
+});
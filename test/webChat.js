@@ -0,0 +1,92 @@
+/*
+ * @author David Menger
+ */
+'use strict';
+
+const assert = require('assert');
+const Router = require('../src/Router');
+const WebChat = require('../src/WebChat');
+
+function createWebChat () {
+    const router = new Router();
+
+    router.use('start', (req, res) => {
+        res.typingOn()
+            .text('Hello', { yes: 'Yes' });
+    });
+
+    router.use('yes', (req, res) => {
+        res.text('Great');
+    });
+
+    router.use((req, res) => {
+        if (req.isLocation()) {
+            res.text(`You are at ${req.location().lat}`);
+            return;
+        }
+        res.text(`You said: ${req.text()}`);
+    });
+
+    return new WebChat(router, {}, undefined, { pollTimeout: 20 });
+}
+
+describe('WebChat', function () {
+
+    describe('#send() / #poll()', function () {
+
+        it('should process the input and return responses', function () {
+            const webChat = createWebChat();
+
+            return webChat.send('1', { postBack: '{"action":"start","data":{}}' })
+                .then(() => webChat.poll('1'))
+                .then((messages) => {
+                    assert.strictEqual(messages.length, 1);
+                    assert.strictEqual(messages[0].id, 1);
+                    assert.strictEqual(messages[0].data.message.text, 'Hello');
+
+                    const { payload } = messages[0].data.message.quick_replies[0];
+                    return webChat.send('1', { text: 'Yes', quickReply: payload });
+                })
+                .then(() => webChat.poll('1', 1))
+                .then((messages) => {
+                    assert.deepEqual(messages.map(m => m.data.message.text), ['Great']);
+                });
+        });
+
+        it('should accept the location', function () {
+            const webChat = createWebChat();
+
+            return webChat.send('1', { location: { lat: 50, long: 14 } })
+                .then(() => webChat.poll('1'))
+                .then((messages) => {
+                    assert.deepEqual(messages.map(m => m.data.message.text), ['You are at 50']);
+                });
+        });
+
+        it('should wait for the response', function () {
+            const webChat = createWebChat();
+            const polled = webChat.poll('1');
+
+            return webChat.send('1', { text: 'hi' })
+                .then(() => polled)
+                .then((messages) => {
+                    assert.strictEqual(messages[0].data.message.text, 'You said: hi');
+                    return webChat.poll('2');
+                })
+                .then((messages) => {
+                    assert.deepEqual(messages, []);
+                });
+        });
+
+        it('should reject empty input', function () {
+            const webChat = createWebChat();
+
+            return webChat.send('1', {})
+                .then(() => assert.fail('should fail'), (e) => {
+                    assert.strictEqual(e.message, 'Missing text, quickReply or postBack');
+                });
+        });
+
+    });
+
+});